@@ -154,7 +154,7 @@ const DEFAULT_OPTIONS = {
 const escapeCookieName = (name) =>
   name.replace(/([.$?*|{}()[\]\\/+^])/g, '\\$1');
 
-const readCookie = (doc, name) => {
+export const readCookie = (doc, name) => {
   if (!doc || typeof doc.cookie !== 'string' || !name) {
     return null;
   }
@@ -163,7 +163,7 @@ const readCookie = (doc, name) => {
   return match ? decodeURIComponent(match[1]) : null;
 };
 
-const writeCookie = (doc, name, value, days = DEFAULT_COOKIE_DAYS) => {
+export const writeCookie = (doc, name, value, days = DEFAULT_COOKIE_DAYS) => {
   if (!doc || typeof doc.cookie === 'undefined') {
     return false;
   }
@@ -203,12 +203,14 @@ const readWindowName = (windowRef) => {
   return null;
 };
 
-const createMessagingChannel = ({
+// Exported so other modules can share the same BroadcastChannel/localStorage
+// bus; omitted dependencies fall back to the browser defaults.
+export const createMessagingChannel = ({
   channelName,
   lsBusKey,
-  storage,
-  windowRef,
-  broadcastChannelFactory
+  storage = createDefaultStorage(),
+  windowRef = getDefaultWindow(),
+  broadcastChannelFactory = defaultBroadcastChannelFactory
 }) => {
   const listeners = new Set();
   const pending = [];
@@ -1,16 +1,63 @@
+import browserIdModule, {
+  createMessagingChannel,
+  readCookie,
+  writeCookie
+} from './browserIdModule.mjs';
+
 const DEFAULT_DB_NAME = 'file-storage-module';
 const DEFAULT_STORE_NAME = 'registry';
 const DEFAULT_NATIVE_HANDLE_STORE_NAME = 'nativeHandles';
+const DEFAULT_MANIFEST_STORE_NAME = 'manifests';
+const DEFAULT_HASH_CACHE_STORE_NAME = 'hashCache';
+const DEFAULT_META_STORE_NAME = 'meta';
+const DEFAULT_TRANSFER_STATE_STORE_NAME = 'transferState';
+const DEFAULT_INSTANCE_MARKER_NAME = 'fsm.instance';
+const INSTANCE_MARKER_COOKIE_DAYS = 3650;
 const DEFAULT_DB_VERSION = 1;
 const DEFAULT_STORAGE_TYPE = 'uninitialized';
 const NATIVE_HANDLE_STORAGE_TYPE = 'native-handle';
 const TRANSIENT_STORAGE_TYPE = 'transient-session';
+const COMPOSITE_STORAGE_TYPE = 'composite';
+const EXPIRED_STATUS = 'expired';
+const TRANSIENT_STATUS = 'transient';
+const DEFAULT_TOMBSTONE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_EVENT_CHANNEL_NAME = 'file-storage-module-v1';
+const STORAGE_EVENT_TYPES = ['added', 'removed', 'updated', 'expired', 'permission-changed'];
+
+const toLabelKey = (label) => (typeof label === 'string' ? label.trim().toLowerCase() : '');
+
+// Registry indexes back `listRecords`. `labelKey` is a lowercased copy of the
+// label ('' when unlabeled) so sorting by label still lists every record.
+const REGISTRY_STORE_DEFINITION = {
+  keyPath: 'key',
+  indexes: [
+    { name: 'storageType', keyPath: 'storageType' },
+    { name: 'createdAt', keyPath: 'createdAt' },
+    { name: 'updatedAt', keyPath: 'updatedAt' },
+    { name: 'labelKey', keyPath: 'labelKey' },
+    { name: 'storageType_createdAt', keyPath: ['storageType', 'createdAt'] }
+  ],
+  upgradeRecord: (record) =>
+    typeof record.labelKey === 'string' ? null : { ...record, labelKey: toLabelKey(record.label) }
+};
 
 const STORE_DEFINITIONS = new Map([
-  [DEFAULT_STORE_NAME, { keyPath: 'key' }],
-  [DEFAULT_NATIVE_HANDLE_STORE_NAME, { keyPath: 'key' }]
+  [DEFAULT_STORE_NAME, REGISTRY_STORE_DEFINITION],
+  [DEFAULT_NATIVE_HANDLE_STORE_NAME, { keyPath: 'key' }],
+  [DEFAULT_MANIFEST_STORE_NAME, { keyPath: 'key' }],
+  [DEFAULT_HASH_CACHE_STORE_NAME, { keyPath: ['key', 'path', 'size', 'lastModified'] }],
+  [DEFAULT_META_STORE_NAME, { keyPath: 'key' }],
+  [DEFAULT_TRANSFER_STATE_STORE_NAME, { keyPath: ['key', 'peerId', 'path'] }]
 ]);
 
+const SCHEMA_META_KEY = 'schema';
+
+const toRequestPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
 const closeDatabase = (db) => {
   try {
     if (db && typeof db.close === 'function') {
@@ -35,23 +82,176 @@ const attachVersionChangeAutoClose = (db) => {
   }
 };
 
-const ensureStores = (db, requestedStore) => {
-  const stores = new Map(STORE_DEFINITIONS);
+// Rewrites every record through `upgradeRecord` (which returns null to keep a
+// record as is) and resolves once the cursor is exhausted.
+const upgradeExistingRecords = (store, upgradeRecord) =>
+  new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const upgraded = upgradeRecord(cursor.value);
+      if (upgraded) {
+        cursor.update(upgraded);
+      }
+      cursor.continue();
+    };
+  });
 
-  if (requestedStore && !stores.has(requestedStore)) {
-    stores.set(requestedStore, { keyPath: 'key' });
+// Creates the store and any missing indexes. Existing records are backfilled
+// through `upgradeRecord` when an index had to be added.
+const ensureStore = (db, transaction, name, definition = { keyPath: 'key' }) => {
+  const { indexes = [], upgradeRecord, ...options } = definition;
+  const isNewStore = !db.objectStoreNames.contains(name);
+  const store = isNewStore ? db.createObjectStore(name, options) : transaction.objectStore(name);
+  const missingIndexes = indexes.filter((index) => !store.indexNames.contains(index.name));
+  missingIndexes.forEach((index) => store.createIndex(index.name, index.keyPath));
+  if (!isNewStore && missingIndexes.length && typeof upgradeRecord === 'function') {
+    return upgradeExistingRecords(store, upgradeRecord);
   }
+  return Promise.resolve();
+};
 
-  stores.forEach((options, name) => {
-    if (!db.objectStoreNames.contains(name)) {
-      db.createObjectStore(name, options);
+// Ordered schema steps; step N upgrades a database recorded at N - 1. Databases
+// created before versions were recorded start at 0, so every step has to accept
+// a layout where its changes already exist. Append new steps, never edit old ones.
+export const SCHEMA_MIGRATIONS = Object.freeze([
+  {
+    version: 1,
+    name: 'core-stores',
+    migrate: (db, transaction) =>
+      Promise.all([
+        ensureStore(db, transaction, DEFAULT_STORE_NAME),
+        ensureStore(db, transaction, DEFAULT_NATIVE_HANDLE_STORE_NAME)
+      ])
+  },
+  {
+    version: 2,
+    name: 'snapshot-stores',
+    migrate: (db, transaction) =>
+      Promise.all([
+        ensureStore(db, transaction, DEFAULT_MANIFEST_STORE_NAME),
+        ensureStore(
+          db,
+          transaction,
+          DEFAULT_HASH_CACHE_STORE_NAME,
+          STORE_DEFINITIONS.get(DEFAULT_HASH_CACHE_STORE_NAME)
+        )
+      ])
+  },
+  {
+    version: 3,
+    name: 'registry-query-indexes',
+    migrate: async (db, transaction) => {
+      const { upgradeRecord, ...definition } = REGISTRY_STORE_DEFINITION;
+      await ensureStore(db, transaction, DEFAULT_STORE_NAME, definition);
+      await upgradeExistingRecords(transaction.objectStore(DEFAULT_STORE_NAME), upgradeRecord);
     }
-  });
+  },
+  {
+    version: 4,
+    name: 'meta-store',
+    migrate: (db, transaction) => ensureStore(db, transaction, DEFAULT_META_STORE_NAME)
+  },
+  {
+    // `listRecords` reads counts from the registry; older native rows only had
+    // them on the nativeHandles record.
+    version: 5,
+    name: 'registry-counts',
+    migrate: async (db, transaction) => {
+      const handleRecords = await toRequestPromise(
+        transaction.objectStore(DEFAULT_NATIVE_HANDLE_STORE_NAME).getAll()
+      );
+      const countsByKey = new Map(
+        handleRecords.map((record) => [record.key, readStoredCounts(record)])
+      );
+      await upgradeExistingRecords(transaction.objectStore(DEFAULT_STORE_NAME), (record) =>
+        record.counts || !countsByKey.has(record.key)
+          ? null
+          : { ...record, counts: countsByKey.get(record.key) }
+      );
+    }
+  },
+  {
+    version: 6,
+    name: 'transfer-state-store',
+    migrate: (db, transaction) =>
+      ensureStore(
+        db,
+        transaction,
+        DEFAULT_TRANSFER_STATE_STORE_NAME,
+        STORE_DEFINITIONS.get(DEFAULT_TRANSFER_STATE_STORE_NAME)
+      )
+  }
+]);
+
+const SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+const readSchemaVersion = async (db, transaction) => {
+  if (!db.objectStoreNames.contains(DEFAULT_META_STORE_NAME)) {
+    return 0;
+  }
+  const store = (transaction ?? db.transaction(DEFAULT_META_STORE_NAME, 'readonly')).objectStore(
+    DEFAULT_META_STORE_NAME
+  );
+  const record = await toRequestPromise(store.get(SCHEMA_META_KEY));
+  return record?.value?.version ?? 0;
+};
+
+// Runs inside the versionchange transaction. Stores outside the schema (custom
+// `storeName` options) are still provisioned on demand.
+const migrateSchema = async (db, transaction, requestedStore, storeDefinition, now) => {
+  const fromVersion = await readSchemaVersion(db, transaction);
+  for (const migration of SCHEMA_MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      await migration.migrate(db, transaction);
+    }
+  }
+  if (fromVersion < SCHEMA_VERSION) {
+    await toRequestPromise(
+      transaction.objectStore(DEFAULT_META_STORE_NAME).put({
+        key: SCHEMA_META_KEY,
+        value: { version: SCHEMA_VERSION, previousVersion: fromVersion, migratedAt: now() }
+      })
+    );
+  }
+  if (requestedStore && (storeDefinition || !STORE_DEFINITIONS.has(requestedStore))) {
+    await ensureStore(db, transaction, requestedStore, storeDefinition);
+  }
+};
+
+const hasStoreLayout = (db, storeName, storeDefinition) => {
+  if (!storeName) {
+    return true;
+  }
+  if (!db.objectStoreNames.contains(storeName)) {
+    return false;
+  }
+  const indexes = (storeDefinition ?? STORE_DEFINITIONS.get(storeName))?.indexes ?? [];
+  if (!indexes.length) {
+    return true;
+  }
+  const { indexNames } = db.transaction(storeName, 'readonly').objectStore(storeName);
+  return indexes.every((index) => indexNames.contains(index.name));
 };
 
+const isCurrentLayout = async (db, storeName, storeDefinition) =>
+  hasStoreLayout(db, storeName, storeDefinition) &&
+  (await readSchemaVersion(db)) >= SCHEMA_VERSION;
+
 const MAX_DB_MIGRATION_ATTEMPTS = 3;
 
-const defaultOpenDatabase = async ({ name, version, storeName }) => {
+const defaultOpenDatabase = async ({
+  name,
+  version,
+  storeName,
+  storeDefinition,
+  now = () => Date.now()
+}) => {
   let currentVersion = version;
 
   for (let attempt = 0; attempt < MAX_DB_MIGRATION_ATTEMPTS; attempt += 1) {
@@ -63,8 +263,9 @@ const defaultOpenDatabase = async ({ name, version, storeName }) => {
         const request = hasExplicitVersion
           ? indexedDB.open(name, currentVersion)
           : indexedDB.open(name);
+        let migrationError;
 
-        request.onerror = () => reject(request.error);
+        request.onerror = () => reject(migrationError ?? request.error);
         request.onblocked = () =>
           reject(
             Object.assign(
@@ -73,8 +274,13 @@ const defaultOpenDatabase = async ({ name, version, storeName }) => {
             )
           );
         request.onupgradeneeded = () => {
-          const upgradeDb = request.result;
-          ensureStores(upgradeDb, storeName);
+          const { transaction } = request;
+          migrateSchema(request.result, transaction, storeName, storeDefinition, now).catch(
+            (error) => {
+              migrationError = error;
+              transaction.abort();
+            }
+          );
         };
         request.onsuccess = () => {
           const result = request.result;
@@ -90,9 +296,18 @@ const defaultOpenDatabase = async ({ name, version, storeName }) => {
       throw error;
     }
 
-    const hasRequestedStore =
-      !storeName || db.objectStoreNames.contains(storeName);
-    if (hasRequestedStore) {
+    let isCurrent;
+    try {
+      isCurrent = await isCurrentLayout(db, storeName, storeDefinition);
+    } catch (error) {
+      // Another connection's upgrade closed this one before it was checked.
+      if (error?.name === 'InvalidStateError') {
+        currentVersion = undefined;
+        continue;
+      }
+      throw error;
+    }
+    if (isCurrent) {
       return db;
     }
 
@@ -109,32 +324,17 @@ const defaultOpenDatabase = async ({ name, version, storeName }) => {
   );
 };
 
-const toRequestPromise = (request) =>
-  new Promise((resolve, reject) => {
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
-
-export const generateRegistryKey = () => {
-  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
-    return `fs-${globalThis.crypto.randomUUID()}`;
-  }
-
-  const random = Math.random().toString(36).slice(2);
-  const timestamp = Date.now().toString(36);
-  return `fs-${random}${timestamp}`;
-};
-
-export const createRegistry = (options = {}) => {
-  const {
-    dbName = DEFAULT_DB_NAME,
-    storeName = DEFAULT_STORE_NAME,
-    dbVersion = DEFAULT_DB_VERSION,
-    openDatabase = defaultOpenDatabase,
-    now = () => Date.now(),
-    keyFactory = generateRegistryKey
-  } = options;
-
+// Lazily opens the shared database and runs `run(store, tx)` inside a single
+// transaction. A connection closed by another module's version bump (or a store
+// that is still missing) drops the cached connection and retries.
+const createStoreClient = ({
+  dbName,
+  storeName,
+  dbVersion,
+  openDatabase,
+  storeDefinition,
+  now
+}) => {
   let dbPromise;
 
   const ensureDb = () => {
@@ -142,7 +342,9 @@ export const createRegistry = (options = {}) => {
       dbPromise = openDatabase({
         name: dbName,
         version: dbVersion,
-        storeName
+        storeName,
+        storeDefinition,
+        now
       });
     }
     return dbPromise;
@@ -155,7 +357,7 @@ export const createRegistry = (options = {}) => {
       tx = db.transaction(storeName, mode);
     } catch (error) {
       if (
-        error?.name === 'NotFoundError' &&
+        (error?.name === 'NotFoundError' || error?.name === 'InvalidStateError') &&
         retryCount + 1 < MAX_DB_MIGRATION_ATTEMPTS
       ) {
         dbPromise = undefined;
@@ -178,13 +380,211 @@ export const createRegistry = (options = {}) => {
     });
   };
 
+  return { ensureDb, withStore };
+};
+
+// Caller-defined fields kept on registry records (and transient sessions) so
+// UIs can show "Mom's photos -> Dad's laptop" instead of an opaque key.
+const USER_METADATA_FIELDS = ['label', 'peerId', 'notes', 'data'];
+
+const isPlainObject = (candidate) =>
+  Boolean(candidate) && typeof candidate === 'object' && !Array.isArray(candidate);
+
+const pickUserMetadata = (metadata = {}) =>
+  USER_METADATA_FIELDS.reduce((picked, field) => {
+    if (metadata[field] !== undefined && metadata[field] !== null) {
+      picked[field] = metadata[field];
+    }
+    return picked;
+  }, {});
+
+const isValidUserMetadata = (metadata = {}) => {
+  const textFields = ['label', 'peerId', 'notes'];
+  if (
+    textFields.some(
+      (field) => metadata[field] != null && typeof metadata[field] !== 'string'
+    )
+  ) {
+    return false;
+  }
+  if (metadata.data === undefined || metadata.data === null) {
+    return true;
+  }
+  try {
+    return JSON.stringify(metadata.data) !== undefined;
+  } catch {
+    return false;
+  }
+};
+
+// Shallow merge where `null` clears a field; `data` objects merge one level deep.
+const mergeUserMetadata = (current = {}, patch = {}) => {
+  const merged = pickUserMetadata(current);
+  for (const field of USER_METADATA_FIELDS) {
+    if (!(field in patch) || patch[field] === undefined) {
+      continue;
+    }
+    if (patch[field] === null) {
+      delete merged[field];
+    } else if (field === 'data' && isPlainObject(merged.data) && isPlainObject(patch.data)) {
+      merged.data = { ...merged.data, ...patch.data };
+    } else {
+      merged[field] = patch[field];
+    }
+  }
+  return merged;
+};
+
+export const generateRegistryKey = () => {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return `fs-${globalThis.crypto.randomUUID()}`;
+  }
+
+  const random = Math.random().toString(36).slice(2);
+  const timestamp = Date.now().toString(36);
+  return `fs-${random}${timestamp}`;
+};
+
+const RECORD_SORT_FIELDS = ['createdAt', 'updatedAt', 'label'];
+const DEFAULT_RECORD_PAGE_SIZE = 50;
+
+// Picks the registry index that yields records in the requested order and
+// narrows its key range with whichever filter that index can answer. Every
+// filter is still re-checked by `matches`, so the range is only a shortcut.
+const planRecordQuery = (query = {}) => {
+  const sortBy = query.sortBy ?? 'createdAt';
+  const order = query.order ?? 'desc';
+  const { storageType, createdAfter, label } = query;
+  const labelKey = label == null ? null : toLabelKey(label);
+  const matches = (record) =>
+    (!storageType || record.storageType === storageType) &&
+    (createdAfter == null || record.createdAt > createdAfter) &&
+    (labelKey === null || toLabelKey(record.label) === labelKey);
+  const plan = { sortBy, order, matches };
+
+  if (sortBy === 'label') {
+    return {
+      ...plan,
+      indexName: 'labelKey',
+      keyOf: (record) => toLabelKey(record.label),
+      ...(labelKey === null ? {} : { lower: labelKey, upper: labelKey })
+    };
+  }
+  if (sortBy === 'createdAt' && storageType) {
+    return {
+      ...plan,
+      indexName: 'storageType_createdAt',
+      keyOf: (record) => [record.storageType, record.createdAt],
+      lower: [storageType, createdAfter ?? -Infinity],
+      lowerOpen: createdAfter != null,
+      upper: [storageType, Infinity]
+    };
+  }
+  if (sortBy === 'createdAt') {
+    return {
+      ...plan,
+      indexName: 'createdAt',
+      keyOf: (record) => record.createdAt,
+      ...(createdAfter == null ? {} : { lower: createdAfter, lowerOpen: true })
+    };
+  }
+  return { ...plan, indexName: 'updatedAt', keyOf: (record) => record.updatedAt };
+};
+
+const isValidRecordQuery = (query) =>
+  isPlainObject(query) &&
+  (query.sortBy === undefined || RECORD_SORT_FIELDS.includes(query.sortBy)) &&
+  (query.order === undefined || query.order === 'asc' || query.order === 'desc') &&
+  (query.storageType === undefined || typeof query.storageType === 'string') &&
+  (query.createdAfter === undefined || Number.isFinite(query.createdAfter)) &&
+  (query.label === undefined || typeof query.label === 'string') &&
+  (query.limit === undefined || (Number.isInteger(query.limit) && query.limit > 0));
+
+// Resuming replaces the leading bound with the last returned index key; ties on
+// that key are skipped by primary key in `isAfterPosition`.
+const createQueryRange = (plan, after, descending) => {
+  let { lower, upper, lowerOpen = false, upperOpen = false } = plan;
+  if (after && descending) {
+    upper = after.indexKey;
+    upperOpen = false;
+  } else if (after) {
+    lower = after.indexKey;
+    lowerOpen = false;
+  }
+  if (lower !== undefined && upper !== undefined) {
+    return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+  }
+  if (lower !== undefined) {
+    return IDBKeyRange.lowerBound(lower, lowerOpen);
+  }
+  if (upper !== undefined) {
+    return IDBKeyRange.upperBound(upper, upperOpen);
+  }
+  return undefined;
+};
+
+const comparePosition = (indexKey, key, other) =>
+  indexedDB.cmp(indexKey, other.indexKey) || indexedDB.cmp(key, other.key);
+
+const isAfterPosition = (indexKey, key, after, descending) => {
+  const comparison = comparePosition(indexKey, key, after);
+  return descending ? comparison < 0 : comparison > 0;
+};
+
+const encodeRecordCursor = (plan, position) =>
+  btoa(
+    JSON.stringify({
+      i: plan.indexName,
+      o: plan.order,
+      k: position.indexKey,
+      p: position.key
+    })
+  );
+
+// Cursors are only valid for the index and order they were issued for.
+const decodeRecordCursor = (plan, cursor) => {
+  try {
+    const decoded = JSON.parse(atob(cursor));
+    if (decoded?.i !== plan.indexName || decoded.o !== plan.order) {
+      return null;
+    }
+    // cmp throws a DataError unless both halves are valid IndexedDB keys.
+    indexedDB.cmp(decoded.k, decoded.p);
+    return { indexKey: decoded.k, key: decoded.p };
+  } catch {
+    return null;
+  }
+};
+
+export const createRegistry = (options = {}) => {
+  const {
+    dbName = DEFAULT_DB_NAME,
+    storeName = DEFAULT_STORE_NAME,
+    dbVersion = DEFAULT_DB_VERSION,
+    openDatabase = defaultOpenDatabase,
+    now = () => Date.now(),
+    keyFactory = generateRegistryKey
+  } = options;
+
+  const { ensureDb, withStore } = createStoreClient({
+    dbName,
+    storeName,
+    dbVersion,
+    openDatabase,
+    storeDefinition: REGISTRY_STORE_DEFINITION,
+    now
+  });
+
   const registerKey = async (key, metadata = {}) => {
     const newKey = key ?? keyFactory();
     const record = {
       key: newKey,
       storageType: metadata.storageType ?? DEFAULT_STORAGE_TYPE,
       createdAt: metadata.createdAt ?? now(),
-      updatedAt: metadata.updatedAt ?? now()
+      updatedAt: metadata.updatedAt ?? now(),
+      ...(metadata.counts ? { counts: { ...metadata.counts } } : {}),
+      ...pickUserMetadata(metadata),
+      labelKey: toLabelKey(metadata.label)
     };
 
     await withStore('readwrite', (store) => {
@@ -195,9 +595,123 @@ export const createRegistry = (options = {}) => {
     return record;
   };
 
+  const updateRecord = async (key, patch = {}) =>
+    withStore('readwrite', async (store) => {
+      const current = await toRequestPromise(store.get(key));
+      if (!current) {
+        return null;
+      }
+      const base = { ...current };
+      USER_METADATA_FIELDS.forEach((field) => delete base[field]);
+      const metadata = mergeUserMetadata(current, patch);
+      const record = {
+        ...base,
+        ...(patch.storageType ? { storageType: patch.storageType } : {}),
+        ...(patch.counts ? { counts: { ...patch.counts } } : {}),
+        ...(patch.parts ? { parts: patch.parts } : {}),
+        ...metadata,
+        labelKey: toLabelKey(metadata.label),
+        updatedAt: patch.updatedAt ?? now()
+      };
+      await toRequestPromise(store.put(record));
+      return record;
+    });
+
   const listKeys = async () =>
     withStore('readonly', (store) => toRequestPromise(store.getAllKeys()));
 
+  const listRecords = async () =>
+    withStore('readonly', (store) => toRequestPromise(store.getAll()));
+
+  // Walks `plan.indexName` from just after `after` ({ indexKey, key }) and
+  // collects up to `limit` records accepted by `plan.matches`.
+  const queryRecords = async (plan, { after = null, limit = Infinity } = {}) =>
+    withStore('readonly', (store) => {
+      const descending = plan.order === 'desc';
+      const range = createQueryRange(plan, after, descending);
+      const records = [];
+      return new Promise((resolve, reject) => {
+        const request = store
+          .index(plan.indexName)
+          .openCursor(range, descending ? 'prev' : 'next');
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve({ records, hasMore: false });
+            return;
+          }
+          if (after && !isAfterPosition(cursor.key, cursor.primaryKey, after, descending)) {
+            cursor.continue();
+            return;
+          }
+          if (plan.matches(cursor.value)) {
+            if (records.length === limit) {
+              resolve({ records, hasMore: true });
+              return;
+            }
+            records.push(cursor.value);
+          }
+          cursor.continue();
+        };
+      });
+    });
+
+  // Tombstones explain transient selections that vanished with their tab. Live
+  // sessions write theirs early with status 'transient'.
+  const writeTombstone = async (key, details = {}) => {
+    const status = details.status ?? EXPIRED_STATUS;
+    const expiredAt = status === EXPIRED_STATUS ? details.expiredAt ?? now() : null;
+    const updatedAt = expiredAt ?? details.updatedAt ?? now();
+    const record = {
+      key,
+      storageType: TRANSIENT_STORAGE_TYPE,
+      status,
+      reason: details.reason ?? EXPIRED_STATUS,
+      tabId: details.tabId ?? null,
+      counts: details.counts ?? null,
+      createdAt: details.createdAt ?? updatedAt,
+      updatedAt,
+      expiredAt,
+      ...(details.expires ? { expires: { ...details.expires } } : {}),
+      ...pickUserMetadata(details.metadata),
+      labelKey: toLabelKey(details.metadata?.label)
+    };
+
+    await withStore('readwrite', (store) => toRequestPromise(store.put(record)));
+    return record;
+  };
+
+  // `keep` lists live sessions whose 'transient' rows must stay.
+  const pruneTombstones = async ({ olderThan = Infinity, keep = [] } = {}) =>
+    withStore('readwrite', (store) => {
+      const kept = new Set(keep);
+      const removed = [];
+      return new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(removed);
+            return;
+          }
+          const record = cursor.value;
+          const stale =
+            record?.status === EXPIRED_STATUS
+              ? (record.expiredAt ?? 0) < olderThan
+              : record?.status === TRANSIENT_STATUS &&
+                !kept.has(record.key) &&
+                (record.updatedAt ?? 0) < olderThan;
+          if (stale) {
+            removed.push(record.key);
+            cursor.delete();
+          }
+          cursor.continue();
+        };
+      });
+    });
+
   const getRecord = async (key) =>
     withStore('readonly', (store) => toRequestPromise(store.get(key)));
 
@@ -214,9 +728,14 @@ export const createRegistry = (options = {}) => {
   return {
     ensureDb,
     registerKey,
+    updateRecord,
     listKeys,
+    listRecords,
+    queryRecords,
     getRecord,
     removeKey,
+    writeTombstone,
+    pruneTombstones,
     clear,
     generateKey: () => keyFactory(),
     describe: () => ({ dbName, storeName, dbVersion })
@@ -262,112 +781,599 @@ const createDirectoryIterator = (directoryHandle) => {
   return null;
 };
 
-const summarizeDirectoryChildren = async (directoryHandle, context) => {
-  const summary = { files: 0, directories: 0 };
-  const iterator = createDirectoryIterator(directoryHandle);
+const createAbortError = (signal) =>
+  Object.assign(new Error('Traversal aborted'), {
+    name: 'AbortError',
+    cause: signal?.reason
+  });
 
-  if (!iterator) {
-    return summary;
-  }
+const isAbortError = (error) => error?.name === 'AbortError';
 
-  for await (const entry of iterator) {
-    if (!isFileSystemHandle(entry)) {
-      continue;
-    }
-    if (entry.kind === 'file') {
-      summary.files += 1;
-    } else if (entry.kind === 'directory') {
-      summary.directories += 1;
-      if (!context.seen.has(entry)) {
-        context.seen.add(entry);
-        const nested = await summarizeDirectoryChildren(entry, context);
-        summary.files += nested.files;
-        summary.directories += nested.directories;
-      }
-    }
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
   }
-
-  return summary;
 };
 
-const summarizeHandles = async (handles = []) => {
-  const summary = { files: 0, directories: 0, handles: 0 };
-  const context = { seen: new Set() };
+// OS and NAS droppings that are never worth counting or sending.
+export const DEFAULT_EXCLUDE_PATTERNS = Object.freeze([
+  '.DS_Store',
+  '._*',
+  '.Spotlight-V100',
+  '.Trashes',
+  '.fseventsd',
+  '__MACOSX',
+  'Thumbs.db',
+  'ehthumbs.db',
+  'desktop.ini',
+  '$RECYCLE.BIN',
+  '@eaDir',
+  '.cache',
+  '.thumbnails'
+]);
 
-  for (const handle of handles) {
-    if (!isFileSystemHandle(handle)) {
-      continue;
-    }
-    summary.handles += 1;
+const isPatternList = (candidate) =>
+  candidate === undefined ||
+  (Array.isArray(candidate) &&
+    candidate.every((pattern) => typeof pattern === 'string' && pattern.length > 0));
 
-    if (handle.kind === 'file') {
-      summary.files += 1;
-      continue;
-    }
+const isValidSelectionFilters = (filters) =>
+  filters === undefined ||
+  (isPlainObject(filters) &&
+    isPatternList(filters.include) &&
+    isPatternList(filters.exclude) &&
+    (filters.defaults === undefined || typeof filters.defaults === 'boolean'));
 
-    if (handle.kind === 'directory') {
-      summary.directories += 1;
-      if (!context.seen.has(handle)) {
-        context.seen.add(handle);
-        const nested = await summarizeDirectoryChildren(handle, context);
-        summary.files += nested.files;
-        summary.directories += nested.directories;
-      }
+// Stored on every new record so later traversals filter exactly like the first.
+const normalizeSelectionFilters = (filters = {}) => ({
+  include: (filters.include ?? []).slice(),
+  exclude: (filters.exclude ?? []).slice(),
+  defaults: filters.defaults !== false
+});
+
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      const crossesSegments = pattern[index + 2] === '/';
+      source += crossesSegments ? '(?:.*/)?' : '.*';
+      index += crossesSegments ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
     }
   }
-
-  return summary;
+  return new RegExp(`^${source}$`, 'i');
 };
 
-const normalizeSelectionInput = (input) => {
-  if (input == null) {
-    return [];
-  }
-  if (Array.isArray(input)) {
-    return input;
-  }
-  if (
-    typeof input.length === 'number' ||
-    typeof input[Symbol.iterator] === 'function'
-  ) {
-    return Array.from(input);
+// Patterns without a slash match any single path segment's name; patterns with
+// one match the path below the selected folder (or the full relative path).
+const compileGlob = (pattern) => {
+  const trimmed = pattern.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  const expression = globToRegExp(trimmed);
+  if (!trimmed.includes('/')) {
+    return (segments) => expression.test(segments[segments.length - 1] ?? '');
   }
-  return [input];
+  return (segments) =>
+    expression.test(segments.join('/')) || expression.test(segments.slice(1).join('/'));
 };
 
-const isPureNativeSelection = (items = []) =>
-  items.length > 0 && items.every((item) => isFileSystemHandle(item));
-
-const hasMissingEntries = (freshCounts = {}, storedCounts = {}) => {
-  const storedFiles = storedCounts.fileCount ?? storedCounts.files;
-  const storedDirectories =
-    storedCounts.directoryCount ?? storedCounts.directories;
-  const missingFiles =
-    typeof storedFiles === 'number' && freshCounts.files < storedFiles;
-  const missingDirectories =
-    typeof storedDirectories === 'number' &&
-    freshCounts.directories < storedDirectories;
-  return missingFiles || missingDirectories;
+const createPathFilter = (filters) => {
+  if (!filters) {
+    return null;
+  }
+  const excludes = [
+    ...(filters.defaults === false ? [] : DEFAULT_EXCLUDE_PATTERNS),
+    ...(filters.exclude ?? [])
+  ].map(compileGlob);
+  const includes = (filters.include ?? []).map(compileGlob);
+  if (!excludes.length && !includes.length) {
+    return null;
+  }
+  return {
+    excludes: (segments) => excludes.some((matches) => matches(segments)),
+    includes: (segments) => !includes.length || includes.some((matches) => matches(segments))
+  };
 };
 
-const mergeUniqueKeys = (primary = [], secondary = []) => {
-  if (!secondary.length) {
-    return primary.slice();
+// Exclude rules prune files and whole folders; include rules only narrow files,
+// so folders are still walked looking for matches.
+const isFilteredPath = (filter, relativePath, kind, { ancestors = false } = {}) => {
+  if (!filter) {
+    return false;
   }
-  const seen = new Set(primary);
-  const merged = primary.slice();
-  for (const key of secondary) {
-    if (!seen.has(key)) {
-      merged.push(key);
-      seen.add(key);
+  const segments = splitRelativePath(relativePath);
+  const start = ancestors ? 1 : segments.length;
+  for (let length = start; length <= segments.length; length += 1) {
+    if (filter.excludes(segments.slice(0, length))) {
+      return true;
     }
   }
-  return merged;
+  return kind === 'file' && !filter.includes(segments);
 };
 
-const isFileLike = (candidate) =>
-  Boolean(
-    candidate &&
+const DEFAULT_TRAVERSAL_CONCURRENCY = 8;
+// Entries visited between macrotask yields, so long counts leave room for
+// rendering and input handling.
+const TRAVERSAL_YIELD_INTERVAL = 500;
+
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const readTraversalConcurrency = ({ concurrency } = {}) =>
+  Number.isSafeInteger(concurrency) && concurrency > 0
+    ? concurrency
+    : DEFAULT_TRAVERSAL_CONCURRENCY;
+
+// TraversalOptions: `{ signal?: AbortSignal, onProgress?: (event) => void,
+// concurrency?: number }`. Progress events carry running totals plus the path
+// that was just visited. `concurrency` caps how many directories are read at
+// once (1 walks them one after another). Internal callers also pass `filters`
+// and `contentFiles`.
+const createTraversalContext = (options = {}) => ({
+  seen: new Set(),
+  contentFiles: options.contentFiles ?? null,
+  signal: options.signal,
+  onProgress: typeof options.onProgress === 'function' ? options.onProgress : null,
+  filter: createPathFilter(options.filters),
+  progress: { files: 0, directories: 0 },
+  concurrency: readTraversalConcurrency(options),
+  // The caller's own walk holds the first slot.
+  active: 1,
+  visited: 0
+});
+
+const recordTraversalProgress = (context, kind, path) => {
+  if (kind === 'file') {
+    context.progress.files += 1;
+  } else if (kind === 'directory') {
+    context.progress.directories += 1;
+  }
+  if (!context.onProgress) {
+    return;
+  }
+  try {
+    context.onProgress({ ...context.progress, path });
+  } catch {
+    // Ignore listener failures so a broken progress UI never aborts a traversal.
+  }
+};
+
+const LARGEST_FILES_LIMIT = 10;
+
+const CONTENT_FAMILIES = ['photos', 'videos', 'documents', 'other'];
+
+// Used when a file has no MIME type, which browsers leave empty for HEIC,
+// camera RAW and most document formats they cannot preview.
+const FAMILY_BY_EXTENSION = new Map(
+  Object.entries({
+    photos: 'jpg jpeg png gif webp heic heif avif tif tiff bmp svg raw dng cr2 cr3 nef arw orf rw2',
+    videos: 'mp4 m4v mov avi mkv webm wmv mpg mpeg 3gp mts m2ts',
+    documents: 'pdf txt md rtf doc docx xls xlsx ppt pptx odt ods odp csv pages numbers key epub'
+  }).flatMap(([family, extensions]) =>
+    extensions.split(' ').map((extension) => [extension, family])
+  )
+);
+
+const DOCUMENT_MIME_PATTERN =
+  /^application\/(pdf|rtf|msword|epub\+zip|vnd\.(ms-|openxmlformats-officedocument|oasis\.opendocument))/;
+
+const readFileExtension = (name = '') => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+// The extension only decides when the MIME type is missing or generic.
+const classifyContentFamily = (type, extension) => {
+  if (!type || type === 'application/octet-stream') {
+    return FAMILY_BY_EXTENSION.get(extension) ?? 'other';
+  }
+  if (type.startsWith('image/')) {
+    return 'photos';
+  }
+  if (type.startsWith('video/')) {
+    return 'videos';
+  }
+  return type.startsWith('text/') || DOCUMENT_MIME_PATTERN.test(type) ? 'documents' : 'other';
+};
+
+// ContentSummary: `{ bytes, largest:[{ relativePath, size }], extensions,
+// families, oldest, newest, unreadable }`. `extensions` and `families` map to
+// `{ files, bytes }`; `oldest`/`newest` are lastModified timestamps.
+const createContentSummary = () => ({
+  bytes: 0,
+  largest: [],
+  extensions: {},
+  families: Object.fromEntries(CONTENT_FAMILIES.map((family) => [family, { files: 0, bytes: 0 }])),
+  oldest: null,
+  newest: null,
+  unreadable: 0
+});
+
+const compareText = (left, right) => (left < right ? -1 : left > right ? 1 : 0);
+
+// Ties break on the path so parallel traversals keep the same order.
+const compareLargest = (left, right) =>
+  right.size - left.size || compareText(left.relativePath, right.relativePath);
+
+const keepLargest = (largest) => largest.sort(compareLargest).slice(0, LARGEST_FILES_LIMIT);
+
+const addToBucket = (buckets, name, files, bytes) => {
+  const bucket = buckets[name] ?? { files: 0, bytes: 0 };
+  buckets[name] = { files: bucket.files + files, bytes: bucket.bytes + bytes };
+};
+
+const addFileContent = (content, relativePath, file) => {
+  const size = Number.isFinite(file.size) ? file.size : 0;
+  const extension = readFileExtension(splitRelativePath(relativePath).at(-1));
+  content.bytes += size;
+  addToBucket(content.extensions, extension, 1, size);
+  addToBucket(content.families, classifyContentFamily(file.type ?? '', extension), 1, size);
+  if (Number.isFinite(file.lastModified)) {
+    content.oldest = Math.min(content.oldest ?? file.lastModified, file.lastModified);
+    content.newest = Math.max(content.newest ?? file.lastModified, file.lastModified);
+  }
+  const last = content.largest[LARGEST_FILES_LIMIT - 1];
+  const candidate = { relativePath, size };
+  if (!last || compareLargest(candidate, last) < 0) {
+    content.largest = keepLargest([...content.largest, candidate]);
+  }
+};
+
+const finalizeContentSummary = (content) => ({
+  ...content,
+  extensions: Object.fromEntries(
+    Object.entries(content.extensions).sort(([left], [right]) => compareText(left, right))
+  )
+});
+
+const mergeContentSummaries = (left, right) => {
+  if (!left || !right) {
+    return left ?? right ?? null;
+  }
+  const merged = createContentSummary();
+  for (const content of [left, right]) {
+    merged.bytes += content.bytes;
+    merged.unreadable += content.unreadable;
+    Object.entries(content.extensions).forEach(([name, bucket]) =>
+      addToBucket(merged.extensions, name, bucket.files, bucket.bytes)
+    );
+    Object.entries(content.families).forEach(([name, bucket]) =>
+      addToBucket(merged.families, name, bucket.files, bucket.bytes)
+    );
+  }
+  const dated = [left, right].filter((content) => content.oldest !== null);
+  merged.oldest = dated.length ? Math.min(...dated.map((content) => content.oldest)) : null;
+  merged.newest = dated.length ? Math.max(...dated.map((content) => content.newest)) : null;
+  merged.largest = keepLargest([...left.largest, ...right.largest]);
+  return finalizeContentSummary(merged);
+};
+
+const countContentFiles = (content) =>
+  content
+    ? Object.values(content.families).reduce((total, family) => total + family.files, 0) +
+      content.unreadable
+    : null;
+
+const isSameContentSummary = (left, right) => JSON.stringify(left) === JSON.stringify(right);
+
+const recordHandleContent = (context, handle, path) => {
+  context.contentFiles?.push({ handle, path });
+};
+
+// Reads file stats after the walk, `concurrency` files at a time. Files that
+// reject getFile() are tallied as `unreadable`.
+const readHandleContents = async (files, options = {}) => {
+  const content = createContentSummary();
+  const versions = [];
+  let next = 0;
+  const readNext = async () => {
+    while (next < files.length) {
+      throwIfAborted(options.signal);
+      const { handle, path } = files[next];
+      next += 1;
+      let file;
+      try {
+        file = await handle.getFile();
+      } catch {
+        content.unreadable += 1;
+        continue;
+      }
+      addFileContent(content, path, file);
+      versions.push({ relativePath: path, ...toFileVersion(file) });
+    }
+  };
+  const readers = Math.min(readTraversalConcurrency(options), files.length);
+  await Promise.all(Array.from({ length: readers }, readNext));
+  versions.sort((left, right) => compareText(left.relativePath, right.relativePath));
+  return { content: finalizeContentSummary(content), versions };
+};
+
+const addNestedSummaries = (summary, nested) => {
+  for (const counts of nested) {
+    summary.files += counts.files;
+    summary.directories += counts.directories;
+    summary.filtered += counts.filtered;
+  }
+  return summary;
+};
+
+// Starts the subtree in parallel while a concurrency slot is free and walks it
+// inline otherwise, so a nested walk never waits on a slot its ancestor holds.
+// Counts are plain sums, so the totals do not depend on completion order.
+const visitNestedDirectory = async (handle, context, path, pending) => {
+  if (context.active < context.concurrency) {
+    context.active += 1;
+    const walk = summarizeDirectoryChildren(handle, context, path).finally(() => {
+      context.active -= 1;
+    });
+    // Marked handled right away; the failure is rethrown from settleNestedDirectories.
+    walk.catch(() => {});
+    pending.push(walk);
+    return;
+  }
+  pending.push(await summarizeDirectoryChildren(handle, context, path));
+};
+
+// Awaits every subtree started by one walk, even after a failure, so no
+// rejection is left unhandled and aborts settle before the caller sees them.
+const settleNestedDirectories = async (summary, pending, walk) => {
+  try {
+    await walk();
+  } catch (error) {
+    await Promise.allSettled(pending);
+    throw error;
+  }
+  return addNestedSummaries(summary, await Promise.all(pending));
+};
+
+const summarizeDirectoryChildren = async (directoryHandle, context, prefix) => {
+  const summary = { files: 0, directories: 0, filtered: 0 };
+  const iterator = createDirectoryIterator(directoryHandle);
+
+  if (!iterator) {
+    return summary;
+  }
+
+  const pending = [];
+  return settleNestedDirectories(summary, pending, async () => {
+    for await (const entry of iterator) {
+      throwIfAborted(context.signal);
+      context.visited += 1;
+      if (context.visited % TRAVERSAL_YIELD_INTERVAL === 0) {
+        await yieldToEventLoop();
+        throwIfAborted(context.signal);
+      }
+      if (!isFileSystemHandle(entry)) {
+        continue;
+      }
+      const path = `${prefix}/${entry.name}`;
+      if (isFilteredPath(context.filter, path, entry.kind)) {
+        summary.filtered += 1;
+        continue;
+      }
+      if (entry.kind === 'file') {
+        summary.files += 1;
+        recordTraversalProgress(context, 'file', path);
+        recordHandleContent(context, entry, path);
+      } else if (entry.kind === 'directory') {
+        summary.directories += 1;
+        recordTraversalProgress(context, 'directory', path);
+        if (!context.seen.has(entry)) {
+          context.seen.add(entry);
+          await visitNestedDirectory(entry, context, path, pending);
+        }
+      }
+    }
+  });
+};
+
+const summarizeHandles = async (handles = [], options = {}) => {
+  const summary = { files: 0, directories: 0, handles: 0, filtered: 0 };
+  const context = createTraversalContext(options);
+  const pending = [];
+
+  return settleNestedDirectories(summary, pending, async () => {
+    for (const handle of handles) {
+      throwIfAborted(context.signal);
+      if (!isFileSystemHandle(handle)) {
+        continue;
+      }
+      summary.handles += 1;
+      if (isFilteredPath(context.filter, handle.name, handle.kind)) {
+        summary.filtered += 1;
+        continue;
+      }
+
+      if (handle.kind === 'file') {
+        summary.files += 1;
+        recordTraversalProgress(context, 'file', handle.name);
+        recordHandleContent(context, handle, handle.name);
+        continue;
+      }
+
+      if (handle.kind === 'directory') {
+        summary.directories += 1;
+        recordTraversalProgress(context, 'directory', handle.name);
+        if (!context.seen.has(handle)) {
+          context.seen.add(handle);
+          await visitNestedDirectory(handle, context, handle.name, pending);
+        }
+      }
+    }
+  });
+};
+
+const summarizeHandleContents = async (handles, options = {}) => {
+  const contentFiles = [];
+  const summary = await summarizeHandles(handles, { ...options, contentFiles });
+  return { summary, ...(await readHandleContents(contentFiles, options)) };
+};
+
+const isSameHandleEntry = async (left, right) => {
+  if (left === right) {
+    return true;
+  }
+  if (left.kind !== right.kind || left.name !== right.name) {
+    return false;
+  }
+  if (typeof left.isSameEntry !== 'function') {
+    return false;
+  }
+  try {
+    return Boolean(await left.isSameEntry(right));
+  } catch {
+    return false;
+  }
+};
+
+const resolveNestedPath = async (directoryHandle, handle) => {
+  if (directoryHandle.kind !== 'directory' || typeof directoryHandle.resolve !== 'function') {
+    return null;
+  }
+  try {
+    const segments = await directoryHandle.resolve(handle);
+    return Array.isArray(segments) && segments.length ? segments : null;
+  } catch {
+    return null;
+  }
+};
+
+// Collapses handles that point at the same entry (isSameEntry) or live inside
+// another selected directory (FileSystemDirectoryHandle.resolve), keeping the
+// first/outermost handle so traversals never count a file twice.
+const collapseDuplicateHandles = async (handles = []) => {
+  const unique = [];
+  const collapsed = [];
+
+  for (const handle of handles) {
+    let duplicateOf = null;
+    for (const kept of unique) {
+      if (await isSameHandleEntry(kept, handle)) {
+        duplicateOf = kept;
+        break;
+      }
+    }
+    if (duplicateOf) {
+      collapsed.push({
+        name: handle.name,
+        kind: handle.kind,
+        reason: 'duplicate',
+        within: duplicateOf.name
+      });
+    } else {
+      unique.push(handle);
+    }
+  }
+
+  const retained = [];
+  for (const handle of unique) {
+    let container = null;
+    let path = null;
+    for (const candidate of unique) {
+      if (candidate === handle) {
+        continue;
+      }
+      path = await resolveNestedPath(candidate, handle);
+      if (path) {
+        container = candidate;
+        break;
+      }
+    }
+    if (container) {
+      collapsed.push({
+        name: handle.name,
+        kind: handle.kind,
+        reason: 'nested',
+        within: container.name,
+        path: [container.name, ...path].join('/')
+      });
+    } else {
+      retained.push(handle);
+    }
+  }
+
+  return { handles: retained, collapsed };
+};
+
+const normalizeSelectionInput = (input) => {
+  if (input == null) {
+    return [];
+  }
+  if (Array.isArray(input)) {
+    return input;
+  }
+  if (
+    typeof input.length === 'number' ||
+    typeof input[Symbol.iterator] === 'function'
+  ) {
+    return Array.from(input);
+  }
+  return [input];
+};
+
+// DataTransfer items are only readable while the drop event is dispatched, so
+// every lookup starts synchronously here and only the handle promises settle
+// later. `webkitGetAsEntry()`/`getAsFile()` are captured up front as fallbacks.
+const collectDataTransferItems = (dataTransfer) => {
+  const items = Array.from(dataTransfer?.items ?? []).filter((item) => item?.kind === 'file');
+  if (!items.length) {
+    return Array.from(dataTransfer?.files ?? []).map((file) => ({ handle: null, fallback: file }));
+  }
+  return items.map((item) => {
+    let handle = null;
+    if (typeof item.getAsFileSystemHandle === 'function') {
+      try {
+        handle = Promise.resolve(item.getAsFileSystemHandle()).catch(() => null);
+      } catch {
+        handle = null;
+      }
+    }
+    const entry = typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null;
+    return { handle, fallback: entry ?? item.getAsFile?.() ?? null };
+  });
+};
+
+const isPureNativeSelection = (items = []) =>
+  items.length > 0 && items.every((item) => isFileSystemHandle(item));
+
+const isMixedSelection = (items = []) =>
+  items.some((item) => isFileSystemHandle(item)) &&
+  items.some((item) => !isFileSystemHandle(item));
+
+const hasMissingEntries = (freshCounts = {}, storedCounts = {}) => {
+  const storedFiles = storedCounts.fileCount ?? storedCounts.files;
+  const storedDirectories =
+    storedCounts.directoryCount ?? storedCounts.directories;
+  const missingFiles =
+    typeof storedFiles === 'number' && freshCounts.files < storedFiles;
+  const missingDirectories =
+    typeof storedDirectories === 'number' &&
+    freshCounts.directories < storedDirectories;
+  return missingFiles || missingDirectories;
+};
+
+const mergeUniqueKeys = (primary = [], secondary = []) => {
+  if (!secondary.length) {
+    return primary.slice();
+  }
+  const seen = new Set(primary);
+  const merged = primary.slice();
+  for (const key of secondary) {
+    if (!seen.has(key)) {
+      merged.push(key);
+      seen.add(key);
+    }
+  }
+  return merged;
+};
+
+const isFileLike = (candidate) =>
+  Boolean(
+    candidate &&
       typeof candidate === 'object' &&
       typeof candidate.name === 'string' &&
       (typeof candidate.size === 'number' ||
@@ -401,14 +1407,21 @@ const normalizeTransientEntries = (input) => {
   return [];
 };
 
+// Files and folders read out of a dropped FileSystemEntry tree are stored flat
+// in the session; this remembers where each one was found.
+const expandedEntryOrigins = new WeakMap();
+
+const readTransientPath = (entry) =>
+  expandedEntryOrigins.get(entry)?.relativePath ||
+  (typeof entry?.webkitRelativePath === 'string' &&
+    entry.webkitRelativePath.length > 0 &&
+    entry.webkitRelativePath) ||
+  (typeof entry?.fullPath === 'string' && entry.fullPath) ||
+  (typeof entry?.path === 'string' && entry.path) ||
+  '';
+
 const deriveDirectorySegments = (entry) => {
-  const rawPath =
-    (typeof entry?.webkitRelativePath === 'string' &&
-      entry.webkitRelativePath.length > 0 &&
-      entry.webkitRelativePath) ||
-    (typeof entry?.fullPath === 'string' && entry.fullPath) ||
-    (typeof entry?.path === 'string' && entry.path) ||
-    '';
+  const rawPath = readTransientPath(entry);
 
   if (!rawPath.includes('/')) {
     return [];
@@ -440,126 +1453,465 @@ const isFileLikeEntry = (entry) =>
   entry?.isFile === true ||
   isFileLike(entry || {});
 
-const summarizeTransientEntries = (entries = []) => {
+const summarizeTransientEntries = (entries = [], options = {}) => {
+  throwIfAborted(options.signal);
+  const filter = createPathFilter(options.filters);
   const derivedDirectories = new Set();
   const summary = entries.reduce(
     (acc, entry) => {
+      if (!expandedEntryOrigins.get(entry)?.nested) {
+        acc.handles += 1;
+      }
+      const relativePath = deriveTransientRelativePath(entry);
+      const kind = isDirectoryLike(entry) ? 'directory' : 'file';
+      if (isFilteredPath(filter, relativePath, kind, { ancestors: true })) {
+        acc.filtered += 1;
+        return acc;
+      }
       if (isDirectoryLike(entry)) {
-        acc.directories += 1;
-      } else if (isFileLikeEntry(entry)) {
-        acc.files += 1;
+        // Dropped folders are stored next to their expanded children, so a
+        // folder path is counted once whichever of the two mentions it.
+        derivedDirectories.add(relativePath);
+        return acc;
+      }
+      acc.files += 1;
+      if (isFileLikeEntry(entry)) {
         deriveDirectorySegments(entry).forEach((segment) =>
           derivedDirectories.add(segment)
         );
-      } else {
-        acc.files += 1;
       }
-      acc.handles += 1;
+      if (options.content) {
+        addFileContent(options.content, relativePath, entry);
+      }
       return acc;
     },
-    { files: 0, directories: 0, handles: 0 }
+    { files: 0, directories: 0, handles: 0, filtered: 0 }
   );
 
   if (derivedDirectories.size) {
     summary.directories += derivedDirectories.size;
   }
 
+  // Transient summaries are synchronous, so a single final event is all a UI
+  // could ever render.
+  if (typeof options.onProgress === 'function') {
+    try {
+      options.onProgress({ files: summary.files, directories: summary.directories, path: null });
+    } catch {
+      // Ignore listener failures.
+    }
+  }
+
   return summary;
 };
 
-const DEFAULT_TRANSIENT_EXPIRATION_MESSAGE =
-  'Transient selections live only in memory. Keep this tab open; reloading clears them.';
+const summarizeTransientContents = (entries, options = {}) => {
+  const content = createContentSummary();
+  const summary = summarizeTransientEntries(entries, { ...options, content });
+  return { summary, content: finalizeContentSummary(content) };
+};
 
-const normalizePermissionState = (state) =>
-  state === 'granted' || state === 'denied' || state === 'prompt'
-    ? state
-    : 'unknown';
+const isFileSystemFileEntry = (entry) =>
+  entry?.isFile === true && typeof entry.file === 'function';
 
-const aggregatePermissionState = (states) => {
-  if (!states.length) {
-    return 'unknown';
-  }
-  if (states.every((state) => state === 'granted')) {
-    return 'granted';
-  }
-  if (states.some((state) => state === 'denied')) {
-    return 'denied';
-  }
-  if (states.some((state) => state === 'prompt')) {
-    return 'prompt';
-  }
-  return 'unknown';
-};
+const isFileSystemDirectoryEntry = (entry) =>
+  entry?.isDirectory === true && typeof entry.createReader === 'function';
 
-const requestHandlePermission = async (handle, mode) => {
-  if (typeof handle?.requestPermission === 'function') {
-    return normalizePermissionState(await handle.requestPermission({ mode }));
+const readEntryFile = (entry) =>
+  new Promise((resolve, reject) => {
+    entry.file(resolve, reject);
+  });
+
+// `readEntries` hands back children in batches (Chromium caps them at 100), so
+// keep asking until a batch comes back empty.
+async function* readDirectoryEntries(directoryEntry) {
+  const reader = directoryEntry.createReader();
+  while (true) {
+    const batch = await new Promise((resolve, reject) => {
+      reader.readEntries(resolve, reject);
+    });
+    if (!batch?.length) {
+      return;
+    }
+    yield* batch;
   }
-  if (typeof handle?.queryPermission === 'function') {
-    return normalizePermissionState(await handle.queryPermission({ mode }));
+}
+
+// Dropped items arrive as FileSystemEntry objects (`webkitGetAsEntry()`). Folders
+// are walked recursively and every file is resolved through `entry.file()`, so
+// the session holds plain Files the sync summaries and reads already understand.
+// Excluded folders are kept but not walked, matching native traversal.
+const expandTransientEntries = async (entries, options = {}) => {
+  const filter = createPathFilter(options.filters);
+  const expanded = [];
+
+  const visit = async (entry, relativePath, nested) => {
+    throwIfAborted(options.signal);
+    const kind = entry.isDirectory ? 'directory' : 'file';
+    const excluded = isFilteredPath(filter, relativePath, kind);
+    const stored = kind === 'file' && !excluded ? await readEntryFile(entry) : entry;
+    expandedEntryOrigins.set(stored, { relativePath, nested });
+    expanded.push(stored);
+    if (kind === 'directory' && !excluded) {
+      for await (const child of readDirectoryEntries(entry)) {
+        await visit(child, `${relativePath}/${child.name}`, true);
+      }
+    }
+  };
+
+  for (const entry of entries) {
+    if (isFileSystemFileEntry(entry) || isFileSystemDirectoryEntry(entry)) {
+      await visit(entry, deriveTransientRelativePath(entry), false);
+    } else {
+      expanded.push(entry);
+    }
   }
-  return 'unknown';
+  return expanded;
 };
 
-export const createNativeHandleBackend = (options = {}) => {
-  const {
-    registry,
-    dbName = DEFAULT_DB_NAME,
-    storeName = DEFAULT_NATIVE_HANDLE_STORE_NAME,
-    dbVersion = DEFAULT_DB_VERSION,
-    openDatabase = defaultOpenDatabase,
-    now = () => Date.now(),
-    permissionRequester = requestHandlePermission
-  } = options;
+const DEFAULT_READ_CHUNK_SIZE = 64 * 1024;
 
-  if (!registry) {
-    throw new Error('createNativeHandleBackend requires a registry instance');
-  }
+const createStorageError = (reason, message, details = {}) =>
+  Object.assign(new Error(message), { name: 'FileStorageError', reason, ...details });
 
-  let dbPromise;
+const splitRelativePath = (relativePath) =>
+  typeof relativePath === 'string'
+    ? relativePath.replace(/\\/g, '/').split('/').filter(Boolean)
+    : [];
 
-  const ensureDb = () => {
-    if (!dbPromise) {
-      dbPromise = openDatabase({
-        name: dbName,
-        version: dbVersion,
-        storeName
-      });
-    }
-    return dbPromise;
-  };
+const deriveTransientRelativePath = (entry) => {
+  const rawPath =
+    readTransientPath(entry) || (typeof entry?.name === 'string' && entry.name) || '';
+  return splitRelativePath(rawPath).join('/');
+};
 
-  const withStore = async (mode, run, retryCount = 0) => {
-    const db = await ensureDb();
-    let tx;
+const findChildHandle = async (directoryHandle, name, kind) => {
+  const getter = kind === 'directory' ? 'getDirectoryHandle' : 'getFileHandle';
+  if (typeof directoryHandle?.[getter] === 'function') {
     try {
-      tx = db.transaction(storeName, mode);
+      return await directoryHandle[getter](name);
     } catch (error) {
-      if (
-        error?.name === 'NotFoundError' &&
-        retryCount + 1 < MAX_DB_MIGRATION_ATTEMPTS
-      ) {
-        dbPromise = undefined;
-        closeDatabase(db);
-        return withStore(mode, run, retryCount + 1);
+      if (error?.name === 'NotFoundError' || error?.name === 'TypeMismatchError') {
+        return null;
       }
       throw error;
     }
-    const store = tx.objectStore(storeName);
-    const resultPromise = Promise.resolve(run(store, tx));
+  }
 
-    return new Promise((resolve, reject) => {
-      tx.oncomplete = () => {
-        resultPromise.then(resolve).catch(reject);
-      };
-      tx.onerror = () =>
-        reject(tx.error ?? new Error('IndexedDB transaction failed'));
-      tx.onabort = () =>
-        reject(tx.error ?? new Error('IndexedDB transaction aborted'));
-    });
+  const iterator = createDirectoryIterator(directoryHandle);
+  if (!iterator) {
+    return null;
+  }
+  for await (const child of iterator) {
+    if (isFileSystemHandle(child) && child.kind === kind && child.name === name) {
+      return child;
+    }
+  }
+  return null;
+};
+
+// Relative paths start with the selected handle's name, mirroring the
+// `webkitRelativePath` values transient selections already carry.
+const resolveNativeFileHandle = async (handles = [], relativePath) => {
+  const [head, ...rest] = splitRelativePath(relativePath);
+  if (!head) {
+    return null;
+  }
+
+  for (const handle of handles) {
+    if (!isFileSystemHandle(handle) || handle.name !== head) {
+      continue;
+    }
+    if (!rest.length) {
+      if (handle.kind === 'file') {
+        return handle;
+      }
+      continue;
+    }
+    if (handle.kind !== 'directory') {
+      continue;
+    }
+
+    let current = handle;
+    for (let index = 0; index < rest.length && current; index += 1) {
+      const isLast = index === rest.length - 1;
+      current = await findChildHandle(current, rest[index], isLast ? 'file' : 'directory');
+    }
+    if (current) {
+      return current;
+    }
+  }
+
+  return null;
+};
+
+const createDirectoryEntry = (relativePath) => ({
+  relativePath,
+  kind: 'directory',
+  size: null,
+  lastModified: null,
+  type: null
+});
+
+const readNativeFileMetadata = async (handle) => {
+  if (typeof handle.getFile !== 'function') {
+    return { size: null, lastModified: null, type: null };
+  }
+  const file = await handle.getFile();
+  return {
+    size: file.size,
+    lastModified: file.lastModified,
+    type: file.type ?? ''
+  };
+};
+
+async function* enumerateNativeHandle(handle, relativePath, context) {
+  throwIfAborted(context.signal);
+  if (handle.kind === 'file') {
+    const entry = { relativePath, kind: 'file', ...(await readNativeFileMetadata(handle)) };
+    recordTraversalProgress(context, 'file', relativePath);
+    yield entry;
+    return;
+  }
+  if (handle.kind !== 'directory') {
+    return;
+  }
+
+  recordTraversalProgress(context, 'directory', relativePath);
+  yield createDirectoryEntry(relativePath);
+  if (context.seen.has(handle)) {
+    return;
+  }
+  context.seen.add(handle);
+
+  const iterator = createDirectoryIterator(handle);
+  if (!iterator) {
+    return;
+  }
+  for await (const child of iterator) {
+    const childPath = `${relativePath}/${child.name}`;
+    if (isFileSystemHandle(child) && !isFilteredPath(context.filter, childPath, child.kind)) {
+      yield* enumerateNativeHandle(child, childPath, context);
+    }
+  }
+}
+
+async function* enumerateNativeHandles(handles = [], options = {}) {
+  const context = createTraversalContext(options);
+
+  for (const handle of handles) {
+    if (
+      isFileSystemHandle(handle) &&
+      !isFilteredPath(context.filter, handle.name, handle.kind)
+    ) {
+      yield* enumerateNativeHandle(handle, handle.name, context);
+    }
+  }
+}
+
+// Returns the relative path of the first entry beneath `directory` that
+// `matches` accepts, or null.
+const findMatchingDescendant = async (directory, relativePath, matches, context) => {
+  if (context.seen.has(directory)) {
+    return null;
+  }
+  context.seen.add(directory);
+  const iterator = createDirectoryIterator(directory);
+  if (!iterator) {
+    return null;
+  }
+  for await (const child of iterator) {
+    throwIfAborted(context.signal);
+    const childPath = `${relativePath}/${child.name}`;
+    if (!isFileSystemHandle(child) || isFilteredPath(context.filter, childPath, child.kind)) {
+      continue;
+    }
+    if (matches(child, childPath)) {
+      return childPath;
+    }
+    if (child.kind === 'directory') {
+      const found = await findMatchingDescendant(child, childPath, matches, context);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+};
+
+// Transient selections arrive flat, so parent directories are synthesized from
+// each entry's relative path the first time they are seen.
+function* enumerateTransientEntries(entries = [], options = {}) {
+  const context = createTraversalContext(options);
+  const emittedDirectories = new Set();
+  const emitDirectory = function* (relativePath) {
+    if (relativePath && !emittedDirectories.has(relativePath)) {
+      emittedDirectories.add(relativePath);
+      recordTraversalProgress(context, 'directory', relativePath);
+      yield createDirectoryEntry(relativePath);
+    }
   };
 
-  const persistHandles = async (handles, metadata = {}) => {
+  for (const entry of entries) {
+    throwIfAborted(context.signal);
+    const relativePath = deriveTransientRelativePath(entry);
+    const kind = isDirectoryLike(entry) ? 'directory' : 'file';
+    if (isFilteredPath(context.filter, relativePath, kind, { ancestors: true })) {
+      continue;
+    }
+    if (isDirectoryLike(entry)) {
+      yield* emitDirectory(relativePath);
+      continue;
+    }
+
+    const segments = splitRelativePath(relativePath);
+    for (let index = 1; index < segments.length; index += 1) {
+      yield* emitDirectory(segments.slice(0, index).join('/'));
+    }
+    recordTraversalProgress(context, 'file', relativePath);
+    yield {
+      relativePath,
+      kind: 'file',
+      size: typeof entry.size === 'number' ? entry.size : null,
+      lastModified: typeof entry.lastModified === 'number' ? entry.lastModified : null,
+      type: typeof entry.type === 'string' ? entry.type : null
+    };
+  }
+}
+
+// Maps each readable relative path to its entry; the first entry wins when
+// two share a path, matching selection order.
+const indexTransientFiles = (entries = []) => {
+  const index = new Map();
+  entries.forEach((entry) => {
+    if (isDirectoryLike(entry) || !isFileLikeEntry(entry)) {
+      return;
+    }
+    const relativePath = deriveTransientRelativePath(entry);
+    if (relativePath && !index.has(relativePath)) {
+      index.set(relativePath, entry);
+    }
+  });
+  return index;
+};
+
+const isReadableBlob = (candidate) =>
+  Boolean(candidate && typeof candidate.slice === 'function' && typeof candidate.size === 'number');
+
+// `mapError` turns a failed chunk read into the error the stream rejects with.
+const createChunkedFileStream = (file, { offset, chunkSize, mapError = (error) => error }) => {
+  let position = offset;
+
+  // Pull-based so only one chunk is in flight; the default queuing strategy
+  // keeps at most a single chunk buffered ahead of the consumer.
+  return new ReadableStream({
+    async pull(controller) {
+      if (position >= file.size) {
+        controller.close();
+        return;
+      }
+      const end = Math.min(position + chunkSize, file.size);
+      let buffer;
+      try {
+        buffer = await file.slice(position, end).arrayBuffer();
+      } catch (error) {
+        throw await mapError(error);
+      }
+      position = end;
+      controller.enqueue(new Uint8Array(buffer));
+    }
+  });
+};
+
+const validateReadOptions = (options = {}) => {
+  const offset = options.offset ?? 0;
+  const chunkSize = options.chunkSize ?? DEFAULT_READ_CHUNK_SIZE;
+  if (!Number.isSafeInteger(offset) || offset < 0) {
+    return { ok: false, reason: 'invalid-offset' };
+  }
+  if (!Number.isSafeInteger(chunkSize) || chunkSize <= 0) {
+    return { ok: false, reason: 'invalid-chunk-size' };
+  }
+  return { ok: true, offset, chunkSize };
+};
+
+const DEFAULT_TRANSIENT_EXPIRATION_MESSAGE =
+  'Transient selections live only in memory. Keep this tab open; reloading clears them.';
+
+const normalizePermissionState = (state) =>
+  state === 'granted' || state === 'denied' || state === 'prompt'
+    ? state
+    : 'unknown';
+
+const aggregatePermissionState = (states) => {
+  if (!states.length) {
+    return 'unknown';
+  }
+  if (states.every((state) => state === 'granted')) {
+    return 'granted';
+  }
+  if (states.some((state) => state === 'denied')) {
+    return 'denied';
+  }
+  if (states.some((state) => state === 'prompt')) {
+    return 'prompt';
+  }
+  return 'unknown';
+};
+
+const readStoredCounts = (record) => ({
+  files: record.fileCount ?? 0,
+  directories: record.directoryCount ?? 0,
+  handles: record.handleCount ?? record.handles.length,
+  filtered: record.filteredCount ?? 0
+});
+
+// Never prompts, so it is safe outside a user gesture.
+const queryHandlePermission = async (handle, mode) => {
+  if (typeof handle?.queryPermission === 'function') {
+    return normalizePermissionState(await handle.queryPermission({ mode }));
+  }
+  return 'unknown';
+};
+
+// May show a browser prompt; only call it from a user gesture.
+const requestHandlePermission = async (handle, mode) => {
+  if (typeof handle?.requestPermission === 'function') {
+    return normalizePermissionState(await handle.requestPermission({ mode }));
+  }
+  if (typeof handle?.queryPermission === 'function') {
+    return normalizePermissionState(await handle.queryPermission({ mode }));
+  }
+  return 'unknown';
+};
+
+export const createNativeHandleBackend = (options = {}) => {
+  const {
+    registry,
+    dbName = DEFAULT_DB_NAME,
+    storeName = DEFAULT_NATIVE_HANDLE_STORE_NAME,
+    dbVersion = DEFAULT_DB_VERSION,
+    openDatabase = defaultOpenDatabase,
+    now = () => Date.now(),
+    permissionRequester = requestHandlePermission,
+    permissionQuerier = queryHandlePermission,
+    // Optional; receives the file versions read while counting as the manifest.
+    manifests = null
+  } = options;
+
+  if (!registry) {
+    throw new Error('createNativeHandleBackend requires a registry instance');
+  }
+
+  const { ensureDb, withStore } = createStoreClient({
+    dbName,
+    storeName,
+    dbVersion,
+    openDatabase,
+    now
+  });
+
+  const persistHandles = async (handles, metadata = {}, options = {}) => {
     if (!Array.isArray(handles) || handles.length === 0) {
       throw new Error('persistHandles requires a non-empty handles array');
     }
@@ -571,17 +1923,35 @@ export const createNativeHandleBackend = (options = {}) => {
       );
     }
 
+    const { handles: uniqueHandles, collapsed } = await collapseDuplicateHandles(handles);
     const key = metadata.key ?? registry.generateKey();
     const createdAt = metadata.createdAt ?? now();
-    const summary = await summarizeHandles(handles);
+    const filters = normalizeSelectionFilters(options.filters);
+    let summary;
+    let content;
+    let versions;
+    try {
+      ({ summary, content, versions } = await summarizeHandleContents(uniqueHandles, {
+        ...options,
+        filters
+      }));
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { ok: false, reason: 'aborted' };
+      }
+      throw error;
+    }
     const record = {
       key,
-      handles,
+      handles: uniqueHandles,
+      filters,
       createdAt,
       updatedAt: metadata.updatedAt ?? createdAt,
       fileCount: summary.files,
       directoryCount: summary.directories,
-      handleCount: summary.handles
+      handleCount: summary.handles,
+      filteredCount: summary.filtered,
+      content
     };
 
     await withStore('readwrite', (store) => {
@@ -590,8 +1960,11 @@ export const createNativeHandleBackend = (options = {}) => {
     });
 
     try {
+      await manifests?.saveManifest(key, versions);
       await registry.registerKey(key, {
+        ...pickUserMetadata(metadata),
         storageType: NATIVE_HANDLE_STORAGE_TYPE,
+        counts: summary,
         createdAt: record.createdAt,
         updatedAt: record.updatedAt
       });
@@ -600,6 +1973,7 @@ export const createNativeHandleBackend = (options = {}) => {
         const request = store.delete(key);
         return toRequestPromise(request);
       }).catch(() => {});
+      await manifests?.removeManifest(key).catch(() => {});
       throw error;
     }
 
@@ -608,508 +1982,3105 @@ export const createNativeHandleBackend = (options = {}) => {
       key,
       storageType: NATIVE_HANDLE_STORAGE_TYPE,
       counts: summary,
+      content,
+      collapsed,
+      filters,
+      metadata: pickUserMetadata(metadata),
       createdAt: record.createdAt,
       updatedAt: record.updatedAt
     };
   };
 
-  const getRecord = async (key) =>
-    withStore('readonly', (store) => toRequestPromise(store.get(key)));
-
-  const getHandles = async (key) => {
-    const record = await getRecord(key);
-    return record?.handles ?? null;
+  const storeHandles = async (current, handles, summary, content) => {
+    const updatedAt = now();
+    const record = {
+      ...current,
+      handles,
+      updatedAt,
+      fileCount: summary.files,
+      directoryCount: summary.directories,
+      handleCount: summary.handles,
+      filteredCount: summary.filtered,
+      content
+    };
+    await withStore('readwrite', (store) => toRequestPromise(store.put(record)));
+    await registry.updateRecord(current.key, { updatedAt, counts: summary });
+    return record;
   };
 
-  const remove = async (key) => {
-    if (!key) {
-      return { ok: false, reason: 'missing-key' };
+  // Appending keeps the key stable so a peer that already knows it can keep
+  // pulling files while the selection grows.
+  const appendHandles = async (key, handles, options = {}) => {
+    const additions = normalizeSelectionInput(handles);
+    if (!additions.length) {
+      return { ok: false, reason: 'no-selection' };
     }
-
-    await withStore('readwrite', (store) => {
-      const request = store.delete(key);
-      return toRequestPromise(request);
-    });
-    await registry.removeKey(key);
-
-    return { ok: true, key };
-  };
-
-  const requestPermissions = async (key, options = {}) => {
-    const record = await getRecord(key);
-    if (!record) {
-      return { ok: false, state: 'missing', reason: 'unknown-key' };
+    if (!additions.every((handle) => isFileSystemHandle(handle))) {
+      return { ok: false, reason: 'incompatible-selection' };
+    }
+    const current = await getRecord(key);
+    if (!current) {
+      return { ok: false, reason: 'unknown-key' };
     }
 
-    const mode = options.mode ?? 'read';
-    const results = [];
-
-    for (const handle of record.handles) {
-      try {
-        results.push(await permissionRequester(handle, mode));
-      } catch {
-        results.push('denied');
+    const { handles: uniqueHandles, collapsed } = await collapseDuplicateHandles([
+      ...current.handles,
+      ...additions
+    ]);
+    let summary;
+    let content;
+    let versions;
+    try {
+      ({ summary, content, versions } = await summarizeHandleContents(uniqueHandles, {
+        ...options,
+        filters: current.filters
+      }));
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { ok: false, reason: 'aborted' };
       }
+      throw error;
     }
 
-    const state = aggregatePermissionState(results);
-
+    const record = await storeHandles(current, uniqueHandles, summary, content);
+    const appended = uniqueHandles.filter((handle) => !current.handles.includes(handle));
+    const absorbed = current.handles.filter((handle) => !uniqueHandles.includes(handle));
+    const appendedRoots = appended.map((handle) => handle.name);
+    await manifests?.updateEntries(key, {
+      drop: [...appendedRoots, ...absorbed.map((handle) => handle.name)],
+      put: versions.filter((entry) =>
+        appendedRoots.some((root) => isWithinPath(entry.relativePath, root))
+      )
+    });
     return {
-      ok: state === 'granted',
+      ok: true,
       key,
-      state,
-      counts: {
-        files: record.fileCount ?? 0,
-        directories: record.directoryCount ?? 0,
-        handles: record.handleCount ?? record.handles.length
-      }
+      storageType: NATIVE_HANDLE_STORAGE_TYPE,
+      counts: summary,
+      content,
+      added: appended.length,
+      collapsed,
+      updatedAt: record.updatedAt
     };
   };
 
-  return {
-    ensureDb,
-    persistHandles,
-    getRecord,
-    getHandles,
+  // Only top-level handles can be dropped. A path or predicate that reaches
+  // inside a directory that stays selected is refused rather than silently
+  // matching nothing.
+  const removeHandles = async (key, matches, options = {}) => {
+    const current = await getRecord(key);
+    if (!current) {
+      return { ok: false, reason: 'unknown-key' };
+    }
+
+    const kept = current.handles.filter((handle) => !matches(handle, handle.name));
+    const keptDirectories = kept.filter((handle) => handle.kind === 'directory');
+    if (matches.paths) {
+      const keptNames = new Set(keptDirectories.map((handle) => handle.name));
+      const nestedPath = matches.paths.find((path) => {
+        const [root, ...rest] = splitRelativePath(path);
+        return rest.length > 0 && keptNames.has(root);
+      });
+      if (nestedPath) {
+        return { ok: false, reason: 'unsupported-path', path: nestedPath };
+      }
+    } else {
+      const context = createTraversalContext({ ...options, filters: current.filters });
+      let nestedPath = null;
+      try {
+        for (const directory of keptDirectories) {
+          nestedPath ??= await findMatchingDescendant(directory, directory.name, matches, context);
+        }
+      } catch (error) {
+        if (isAbortError(error)) {
+          return { ok: false, reason: 'aborted' };
+        }
+        throw error;
+      }
+      if (nestedPath) {
+        return { ok: false, reason: 'unsupported-predicate', path: nestedPath };
+      }
+    }
+    const removed = current.handles.length - kept.length;
+    if (!removed) {
+      return {
+        ok: true,
+        key,
+        storageType: NATIVE_HANDLE_STORAGE_TYPE,
+        removed: 0,
+        counts: readStoredCounts(current),
+        content: current.content ?? null,
+        updatedAt: current.updatedAt
+      };
+    }
+    if (!kept.length) {
+      return { ok: false, reason: 'empty-selection' };
+    }
+
+    let summary;
+    let content;
+    try {
+      ({ summary, content } = await summarizeHandleContents(kept, {
+        ...options,
+        filters: current.filters
+      }));
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { ok: false, reason: 'aborted' };
+      }
+      throw error;
+    }
+
+    const record = await storeHandles(current, kept, summary, content);
+    await manifests?.updateEntries(key, {
+      drop: current.handles.filter((handle) => !kept.includes(handle)).map((handle) => handle.name)
+    });
+    return {
+      ok: true,
+      key,
+      storageType: NATIVE_HANDLE_STORAGE_TYPE,
+      removed,
+      counts: summary,
+      content,
+      updatedAt: record.updatedAt
+    };
+  };
+
+  const update = async (key, patch = {}) => {
+    const updatedAt = now();
+    const record = await withStore('readwrite', async (store) => {
+      const current = await toRequestPromise(store.get(key));
+      if (!current) {
+        return null;
+      }
+      const next = { ...current, updatedAt };
+      await toRequestPromise(store.put(next));
+      return next;
+    });
+    if (!record) {
+      return { ok: false, reason: 'unknown-key' };
+    }
+
+    const registryRecord = await registry.updateRecord(key, { ...patch, updatedAt });
+    return {
+      ok: true,
+      key,
+      storageType: NATIVE_HANDLE_STORAGE_TYPE,
+      metadata: pickUserMetadata(registryRecord ?? {}),
+      updatedAt
+    };
+  };
+
+  const getRecord = async (key) =>
+    withStore('readonly', (store) => toRequestPromise(store.get(key)));
+
+  const listRecords = async () =>
+    withStore('readonly', (store) => toRequestPromise(store.getAll()));
+
+  // Repair primitives: touch only this store, never the registry.
+  const writeCounts = async (key, summary) =>
+    withStore('readwrite', async (store) => {
+      const current = await toRequestPromise(store.get(key));
+      if (!current) {
+        return null;
+      }
+      const record = {
+        ...current,
+        fileCount: summary.files,
+        directoryCount: summary.directories,
+        handleCount: summary.handles,
+        filteredCount: summary.filtered ?? 0
+      };
+      await toRequestPromise(store.put(record));
+      return record;
+    });
+
+  const writeContent = async (key, content) =>
+    withStore('readwrite', async (store) => {
+      const current = await toRequestPromise(store.get(key));
+      if (!current) {
+        return null;
+      }
+      const record = { ...current, content };
+      await toRequestPromise(store.put(record));
+      return record;
+    });
+
+  const deleteRecord = async (key) =>
+    withStore('readwrite', (store) => toRequestPromise(store.delete(key)).then(() => true));
+
+  const getHandles = async (key) => {
+    const record = await getRecord(key);
+    return record?.handles ?? null;
+  };
+
+  const remove = async (key) => {
+    if (!key) {
+      return { ok: false, reason: 'missing-key' };
+    }
+
+    await withStore('readwrite', (store) => {
+      const request = store.delete(key);
+      return toRequestPromise(request);
+    });
+    await registry.removeKey(key);
+
+    return { ok: true, key };
+  };
+
+  const checkPermissions = async (key, options, checkHandle) => {
+    const record = await getRecord(key);
+    if (!record) {
+      return { ok: false, state: 'missing', reason: 'unknown-key' };
+    }
+
+    const mode = options.mode ?? 'read';
+    const results = [];
+
+    for (const handle of record.handles) {
+      try {
+        results.push(await checkHandle(handle, mode));
+      } catch {
+        results.push('denied');
+      }
+    }
+
+    const state = aggregatePermissionState(results);
+
+    return {
+      ok: state === 'granted',
+      key,
+      state,
+      counts: readStoredCounts(record)
+    };
+  };
+
+  const requestPermissions = (key, options = {}) =>
+    checkPermissions(key, options, permissionRequester);
+
+  const queryPermissions = (key, options = {}) =>
+    checkPermissions(key, options, permissionQuerier);
+
+  return {
+    ensureDb,
+    persistHandles,
+    getRecord,
+    listRecords,
+    writeCounts,
+    writeContent,
+    deleteRecord,
+    getHandles,
+    appendHandles,
+    removeHandles,
+    update,
+    remove,
+    requestPermissions,
+    queryPermissions
+  };
+};
+
+const isWithinPath = (relativePath, root) =>
+  relativePath === root || relativePath.startsWith(`${root}/`);
+
+const toManifestEntry = (entry) => ({
+  relativePath: entry.relativePath,
+  size: entry.size,
+  lastModified: entry.lastModified
+});
+
+const indexManifestEntries = (manifest) =>
+  new Map((manifest?.entries ?? []).map((entry) => [entry.relativePath, entry]));
+
+// Per-file snapshots (`relativePath`, `size`, `lastModified`) used to detect
+// drift that aggregate counts miss, such as renames or delete-plus-add.
+export const createManifestStore = (options = {}) => {
+  const {
+    dbName = DEFAULT_DB_NAME,
+    storeName = DEFAULT_MANIFEST_STORE_NAME,
+    dbVersion = DEFAULT_DB_VERSION,
+    openDatabase = defaultOpenDatabase,
+    now = () => Date.now()
+  } = options;
+
+  const { ensureDb, withStore } = createStoreClient({
+    dbName,
+    storeName,
+    dbVersion,
+    openDatabase,
+    now
+  });
+
+  const saveManifest = async (key, entries = []) => {
+    const record = {
+      key,
+      capturedAt: now(),
+      entries: entries.map(toManifestEntry)
+    };
+    await withStore('readwrite', (store) => toRequestPromise(store.put(record)));
+    return record;
+  };
+
+  const getManifest = async (key) =>
+    withStore('readonly', (store) => toRequestPromise(store.get(key)));
+
+  // Drops entries at or beneath `drop` paths, then upserts `put` by path.
+  const updateEntries = async (key, { drop = [], put = [] } = {}) =>
+    withStore('readwrite', async (store) => {
+      const current = await toRequestPromise(store.get(key));
+      if (!current && !put.length) {
+        return null;
+      }
+      const replaced = new Set(put.map((entry) => entry.relativePath));
+      const kept = (current?.entries ?? []).filter(
+        (entry) =>
+          !replaced.has(entry.relativePath) &&
+          !drop.some((path) => isWithinPath(entry.relativePath, path))
+      );
+      const record = {
+        key,
+        capturedAt: current?.capturedAt ?? now(),
+        entries: [...kept, ...put.map(toManifestEntry)]
+      };
+      await toRequestPromise(store.put(record));
+      return record;
+    });
+
+  const removeManifest = async (key) =>
+    withStore('readwrite', (store) =>
+      toRequestPromise(store.delete(key)).then(() => true)
+    );
+
+  const listKeys = async () =>
+    withStore('readonly', (store) => toRequestPromise(store.getAllKeys()));
+
+  return {
+    ensureDb,
+    saveManifest,
+    getManifest,
+    updateEntries,
+    removeManifest,
+    listKeys
+  };
+};
+
+// Chunk and root hashes keyed by (selection key, path, size, lastModified) so
+// unchanged files never need to be reread after a reload.
+export const createHashCache = (options = {}) => {
+  const {
+    dbName = DEFAULT_DB_NAME,
+    storeName = DEFAULT_HASH_CACHE_STORE_NAME,
+    dbVersion = DEFAULT_DB_VERSION,
+    openDatabase = defaultOpenDatabase,
+    now = () => Date.now()
+  } = options;
+
+  const { ensureDb, withStore } = createStoreClient({
+    dbName,
+    storeName,
+    dbVersion,
+    openDatabase,
+    now
+  });
+
+  const getEntry = async ({ key, path, size, lastModified }) =>
+    withStore('readonly', (store) =>
+      toRequestPromise(store.get([key, path, size, lastModified]))
+    );
+
+  const putEntry = async (record) =>
+    withStore('readwrite', (store) => toRequestPromise(store.put(record))).then(
+      () => record
+    );
+
+  // Arrays sort after every string, so `[key, []]` bounds all paths of a key.
+  const removeForKey = async (key) =>
+    withStore('readwrite', (store) =>
+      toRequestPromise(store.delete(IDBKeyRange.bound([key], [key, []]))).then(() => true)
+    );
+
+  // Distinct selection keys that still have cached digests.
+  const listKeys = async () =>
+    withStore('readonly', (store) => toRequestPromise(store.getAllKeys())).then((keys) =>
+      Array.from(new Set(keys.map(([key]) => key)))
+    );
+
+  return {
+    ensureDb,
+    getEntry,
+    putEntry,
+    removeForKey,
+    listKeys
+  };
+};
+
+// Acknowledged byte ranges are half-open `[start, end)` pairs kept sorted and
+// disjoint. Touching ranges merge, so a file sent in order stays one range.
+const mergeByteRange = (ranges, [start, end]) => {
+  const before = ranges.filter(([, rangeEnd]) => rangeEnd < start);
+  const after = ranges.filter(([rangeStart]) => rangeStart > end);
+  const merged = ranges
+    .filter(([rangeStart, rangeEnd]) => rangeEnd >= start && rangeStart <= end)
+    .reduce(
+      ([mergedStart, mergedEnd], [rangeStart, rangeEnd]) => [
+        Math.min(mergedStart, rangeStart),
+        Math.max(mergedEnd, rangeEnd)
+      ],
+      [start, end]
+    );
+  return [...before, merged, ...after];
+};
+
+const countCoveredBytes = (ranges) =>
+  ranges.reduce((total, [start, end]) => total + (end - start), 0);
+
+const findOutstandingRanges = (ranges, size) => {
+  const outstanding = [];
+  let position = 0;
+  for (const [start, end] of ranges) {
+    if (start > position) {
+      outstanding.push([position, Math.min(start, size)]);
+    }
+    position = Math.max(position, end);
+  }
+  if (position < size) {
+    outstanding.push([position, size]);
+  }
+  return outstanding.filter(([start, end]) => end > start);
+};
+
+// Only fields known on both sides are compared.
+const isSameFileVersion = (record, { size, lastModified }) =>
+  [
+    [record.size, size],
+    [record.lastModified, lastModified]
+  ].every(([stored, next]) => stored == null || next === undefined || stored === next);
+
+const isByteOffset = (value) => Number.isInteger(value) && value >= 0;
+
+const isValidByteRange = ({ start, end, size, lastModified } = {}) =>
+  isByteOffset(start) &&
+  isByteOffset(end) &&
+  start <= end &&
+  (size === undefined || (isByteOffset(size) && end <= size)) &&
+  (lastModified === undefined || Number.isFinite(lastModified));
+
+// Bytes before the first gap; what a resumed sender should send next.
+const readResumeOffset = (ranges) => (ranges[0]?.[0] === 0 ? ranges[0][1] : 0);
+
+const toTransferStatus = (record) => ({
+  ok: true,
+  key: record.key,
+  peerId: record.peerId,
+  relativePath: record.path,
+  size: record.size,
+  acknowledged: record.acknowledged,
+  complete: record.complete,
+  ranges: record.ranges.map((range) => range.slice()),
+  resumeOffset: readResumeOffset(record.ranges),
+  lastError: record.lastError
+});
+
+// Per-file delivery progress keyed by (selection key, peer ID, relative path),
+// so a sender that reloads mid-transfer resumes from the last acknowledged byte.
+export const createTransferStateStore = (options = {}) => {
+  const {
+    dbName = DEFAULT_DB_NAME,
+    storeName = DEFAULT_TRANSFER_STATE_STORE_NAME,
+    dbVersion = DEFAULT_DB_VERSION,
+    openDatabase = defaultOpenDatabase,
+    now = () => Date.now()
+  } = options;
+
+  const { ensureDb, withStore } = createStoreClient({
+    dbName,
+    storeName,
+    dbVersion,
+    openDatabase,
+    now
+  });
+
+  // A new size or lastModified means the file changed, so earlier ranges no
+  // longer describe its bytes.
+  const updateState = async ({ key, peerId, path, size, lastModified }, apply) =>
+    withStore('readwrite', async (store) => {
+      const current = await toRequestPromise(store.get([key, peerId, path]));
+      const base =
+        current && isSameFileVersion(current, { size, lastModified })
+          ? {
+              ...current,
+              size: current.size ?? size ?? null,
+              lastModified: current.lastModified ?? lastModified ?? null
+            }
+          : {
+              key,
+              peerId,
+              path,
+              size: size ?? null,
+              lastModified: lastModified ?? null,
+              ranges: [],
+              lastError: null
+            };
+      const record = { ...apply(base), updatedAt: now() };
+      await toRequestPromise(store.put(record));
+      return record;
+    });
+
+  const getState = async (key, peerId, path) =>
+    withStore('readonly', (store) => toRequestPromise(store.get([key, peerId, path])));
+
+  const markRange = async ({ start, end, ...target }) =>
+    updateState(target, (current) => {
+      const ranges = mergeByteRange(current.ranges, [start, end]);
+      const acknowledged = countCoveredBytes(ranges);
+      return {
+        ...current,
+        ranges,
+        acknowledged,
+        complete: typeof current.size === 'number' && acknowledged >= current.size,
+        lastError: null
+      };
+    });
+
+  const recordError = async ({ error, ...target }) =>
+    updateState(target, (current) => ({
+      ...current,
+      acknowledged: countCoveredBytes(current.ranges),
+      complete: false,
+      lastError: {
+        name: error?.name ?? 'Error',
+        message: error?.message ?? String(error),
+        at: now()
+      }
+    }));
+
+  // Arrays sort after every string, so `[key, peerId, []]` bounds all paths.
+  const rangeFor = (key, peerId) =>
+    peerId === undefined
+      ? IDBKeyRange.bound([key], [key, []])
+      : IDBKeyRange.bound([key, peerId], [key, peerId, []]);
+
+  const listStates = async (key, peerId) =>
+    withStore('readonly', (store) => toRequestPromise(store.getAll(rangeFor(key, peerId))));
+
+  const reset = async (key, peerId, path) =>
+    withStore('readwrite', async (store) => {
+      const query = path === undefined ? rangeFor(key, peerId) : [key, peerId, path];
+      const removed = await toRequestPromise(store.count(query));
+      await toRequestPromise(store.delete(query));
+      return removed;
+    });
+
+  const removeForKey = async (key) => reset(key).then(() => true);
+
+  // Distinct selection keys that still have transfer state.
+  const listKeys = async () =>
+    withStore('readonly', (store) => toRequestPromise(store.getAllKeys())).then((keys) =>
+      Array.from(new Set(keys.map(([key]) => key)))
+    );
+
+  return {
+    ensureDb,
+    getState,
+    markRange,
+    recordError,
+    listStates,
+    reset,
+    removeForKey,
+    listKeys
+  };
+};
+
+// Small key/value store for facts about the database itself.
+export const createMetaStore = (options = {}) => {
+  const {
+    dbName = DEFAULT_DB_NAME,
+    storeName = DEFAULT_META_STORE_NAME,
+    dbVersion = DEFAULT_DB_VERSION,
+    openDatabase = defaultOpenDatabase,
+    now = () => Date.now()
+  } = options;
+
+  const { ensureDb, withStore } = createStoreClient({
+    dbName,
+    storeName,
+    dbVersion,
+    openDatabase,
+    now
+  });
+
+  const getValue = async (key) =>
+    withStore('readonly', (store) => toRequestPromise(store.get(key))).then(
+      (record) => record?.value
+    );
+
+  const setValue = async (key, value) =>
+    withStore('readwrite', (store) => toRequestPromise(store.put({ key, value }))).then(
+      () => value
+    );
+
+  return { ensureDb, getValue, setValue };
+};
+
+// Remembers which database instance this origin last saw. The cookie copy
+// matters most: storage-pressure eviction wipes IndexedDB and localStorage
+// together but leaves cookies alone.
+export const createInstanceMarker = (options = {}) => {
+  const {
+    name = DEFAULT_INSTANCE_MARKER_NAME,
+    storage = globalThis.localStorage ?? null,
+    documentRef = globalThis.document ?? null
+  } = options;
+
+  const read = () => {
+    try {
+      return storage?.getItem(name) || readCookie(documentRef, name) || null;
+    } catch {
+      return null;
+    }
+  };
+
+  const write = (instanceId) => {
+    try {
+      storage?.setItem(name, instanceId);
+    } catch {
+      // Private modes may refuse localStorage; the cookie still carries it.
+    }
+    // A refused cookie only makes eviction detection unavailable.
+    writeCookie(documentRef, name, instanceId, INSTANCE_MARKER_COOKIE_DAYS);
+  };
+
+  return { read, write };
+};
+
+// A database with no instance record but a marker from an earlier session and
+// an empty registry was evicted (or wiped) and recreated since then.
+export const createEvictionMonitor = (options = {}) => {
+  const {
+    metaStore,
+    registry,
+    marker = createInstanceMarker(),
+    now = () => Date.now(),
+    idFactory = generateRegistryKey
+  } = options;
+
+  if (!metaStore || !registry) {
+    throw new Error('createEvictionMonitor requires metaStore and registry instances');
+  }
+
+  let checkPromise;
+
+  const runCheck = async () => {
+    const instance = await metaStore.getValue('instance');
+    const previousInstanceId = marker.read();
+    if (instance) {
+      if (previousInstanceId !== instance.id) {
+        marker.write(instance.id);
+      }
+      return {
+        evicted: false,
+        instanceId: instance.id,
+        previousInstanceId: null,
+        createdAt: instance.createdAt,
+        detectedAt: null
+      };
+    }
+
+    const existingKeys = await registry.listKeys();
+    const created = { id: idFactory(), createdAt: now() };
+    await metaStore.setValue('instance', created);
+    marker.write(created.id);
+    const evicted = Boolean(previousInstanceId) && existingKeys.length === 0;
+    return {
+      evicted,
+      instanceId: created.id,
+      previousInstanceId: evicted ? previousInstanceId : null,
+      createdAt: created.createdAt,
+      detectedAt: evicted ? created.createdAt : null
+    };
+  };
+
+  // One check per page load; a failed check may be retried.
+  const check = () => {
+    if (!checkPromise) {
+      checkPromise = runCheck().catch((error) => {
+        checkPromise = undefined;
+        throw error;
+      });
+    }
+    return checkPromise;
+  };
+
+  return { check };
+};
+
+const diffManifestEntries = (manifestEntries = [], liveEntries = []) => {
+  const before = new Map(manifestEntries.map((entry) => [entry.relativePath, entry]));
+  const added = [];
+  const modified = [];
+  let unchanged = 0;
+
+  for (const entry of liveEntries) {
+    const previous = before.get(entry.relativePath);
+    if (!previous) {
+      added.push(toManifestEntry(entry));
+      continue;
+    }
+    before.delete(entry.relativePath);
+    if (previous.size !== entry.size || previous.lastModified !== entry.lastModified) {
+      modified.push({
+        relativePath: entry.relativePath,
+        before: { size: previous.size, lastModified: previous.lastModified },
+        after: { size: entry.size, lastModified: entry.lastModified }
+      });
+    } else {
+      unchanged += 1;
+    }
+  }
+
+  const removed = Array.from(before.values()).map(toManifestEntry);
+  return { added, removed, modified, unchanged };
+};
+
+export const createTransientSessionBackend = (options = {}) => {
+  const {
+    keyFactory = generateRegistryKey,
+    now = () => Date.now(),
+    expirationMessage = DEFAULT_TRANSIENT_EXPIRATION_MESSAGE,
+    beforeUnloadTarget = globalThis,
+    registry = null,
+    getTabId = null,
+    onExpired = null
+  } = options;
+
+  if (typeof keyFactory !== 'function') {
+    throw new Error('createTransientSessionBackend requires a keyFactory function');
+  }
+
+  const sessions = new Map();
+  const expiredSessions = new Map();
+  let unloadListenerAttached = false;
+  // Serialized so a late row update never overwrites a tombstone or removal.
+  let registryWrites = Promise.resolve();
+
+  const queueRegistryWrite = (write) => {
+    const queued = registryWrites.then(write);
+    registryWrites = queued.catch(() => {});
+    return queued;
+  };
+
+  const writeMarker = (session) => {
+    if (!registry) {
+      return Promise.resolve(null);
+    }
+    return queueRegistryWrite(() =>
+      sessions.get(session.key) === session
+        ? registry.writeTombstone(session.key, {
+            status: TRANSIENT_STATUS,
+            reason: session.expires.reason,
+            expires: session.expires,
+            tabId: session.tabId,
+            counts: session.counts,
+            metadata: session.metadata,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt
+          })
+        : null
+    ).catch(() => null);
+  };
+
+  // IndexedDB writes are best-effort during `beforeunload`; callers that need
+  // certainty (tests, explicit expiry) can await the returned `persisted` promise.
+  const persistTombstones = (expired) => {
+    if (typeof onExpired === 'function') {
+      expired.forEach(({ session, status }) => {
+        try {
+          onExpired({ key: session.key, tabId: session.tabId, reason: status.reason });
+        } catch {
+          // Ignore listener failures so every tombstone still gets written.
+        }
+      });
+    }
+    if (!registry || !expired.length) {
+      return Promise.resolve(0);
+    }
+    return Promise.all(
+      expired.map(({ session, status }) =>
+        queueRegistryWrite(() =>
+          registry.writeTombstone(session.key, {
+            reason: status.reason,
+            expires: session.expires,
+            tabId: session.tabId,
+            counts: session.counts,
+            metadata: session.metadata,
+            createdAt: session.createdAt,
+            expiredAt: status.expiredAt
+          })
+        )
+      )
+    )
+      .then((records) => records.length)
+      .catch(() => 0);
+  };
+
+  const markExpired = (session, reason, expiredAt) => {
+    const status = {
+      status: EXPIRED_STATUS,
+      reason,
+      key: session.key,
+      tabId: session.tabId,
+      expiredAt,
+      message: session.expires.message
+    };
+    sessions.delete(session.key);
+    expiredSessions.set(session.key, status);
+    return { session, status };
+  };
+
+  const expireAll = (reason = 'expired') => {
+    if (!sessions.size) {
+      return { count: 0, persisted: Promise.resolve(0) };
+    }
+
+    const expiredAt = now();
+    const expired = Array.from(sessions.values()).map((session) =>
+      markExpired(session, reason, expiredAt)
+    );
+    return { count: expired.length, persisted: persistTombstones(expired) };
+  };
+
+  const ensureBeforeUnloadListener = () => {
+    if (unloadListenerAttached) {
+      return;
+    }
+    if (
+      beforeUnloadTarget &&
+      typeof beforeUnloadTarget.addEventListener === 'function'
+    ) {
+      const handler = () => {
+        expireAll('page-unload');
+      };
+      beforeUnloadTarget.addEventListener('beforeunload', handler);
+      unloadListenerAttached = true;
+    }
+  };
+
+  const persistEntries = async (rawEntries, metadata = {}, options = {}) => {
+    const entries = normalizeTransientEntries(rawEntries);
+    if (!entries.length) {
+      throw new Error('persistEntries requires a non-empty entries array');
+    }
+
+    const invalidEntry = entries.find((entry) => !isTransientEntry(entry));
+    if (invalidEntry) {
+      throw new Error('persistEntries expected File or entry-like objects');
+    }
+
+    const key = metadata.key ?? keyFactory();
+    const createdAt = metadata.createdAt ?? now();
+    const filters = normalizeSelectionFilters(options.filters);
+    let storedEntries;
+    let counts;
+    let content;
+    try {
+      storedEntries = await expandTransientEntries(entries, { ...options, filters });
+      ({ summary: counts, content } = summarizeTransientContents(storedEntries, {
+        ...options,
+        filters
+      }));
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { ok: false, reason: 'aborted' };
+      }
+      throw error;
+    }
+    const session = {
+      key,
+      entries: storedEntries,
+      pathIndex: indexTransientFiles(storedEntries),
+      createdAt,
+      updatedAt: metadata.updatedAt ?? createdAt,
+      counts,
+      content,
+      filters,
+      tabId: metadata.tabId ?? null,
+      metadata: pickUserMetadata(metadata),
+      expires: {
+        reason: 'page-unload',
+        message: expirationMessage
+      }
+    };
+
+    sessions.set(key, session);
+    expiredSessions.delete(key);
+    ensureBeforeUnloadListener();
+
+    if (!session.tabId && typeof getTabId === 'function') {
+      try {
+        session.tabId = (await getTabId()) ?? null;
+      } catch {
+        session.tabId = null;
+      }
+    }
+    await writeMarker(session);
+
+    return {
+      ok: true,
+      key,
+      storageType: TRANSIENT_STORAGE_TYPE,
+      counts,
+      content,
+      filters,
+      metadata: { ...session.metadata },
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      expires: { ...session.expires }
+    };
+  };
+
+  const replaceEntries = (session, entries, options) => {
+    const { summary: counts, content } = summarizeTransientContents(entries, {
+      ...options,
+      filters: session.filters
+    });
+    session.entries = entries;
+    session.pathIndex = indexTransientFiles(entries);
+    session.counts = counts;
+    session.content = content;
+    session.updatedAt = now();
+    return counts;
+  };
+
+  const appendEntries = async (key, rawEntries, options = {}) => {
+    const additions = normalizeTransientEntries(rawEntries);
+    if (!additions.length) {
+      return { ok: false, reason: 'no-selection' };
+    }
+    if (!additions.every((entry) => isTransientEntry(entry))) {
+      return { ok: false, reason: 'incompatible-selection' };
+    }
+    const session = sessions.get(key);
+    if (!session) {
+      return { ok: false, reason: expiredSessions.has(key) ? 'transient-expired' : 'unknown-key' };
+    }
+
+    const existing = new Set(session.entries);
+    let fresh;
+    let counts;
+    try {
+      fresh = await expandTransientEntries(
+        additions.filter((entry) => !existing.has(entry)),
+        { ...options, filters: session.filters }
+      );
+      if (!sessions.has(key)) {
+        return { ok: false, reason: 'transient-expired' };
+      }
+      counts = replaceEntries(session, [...session.entries, ...fresh], options);
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { ok: false, reason: 'aborted' };
+      }
+      throw error;
+    }
+    await writeMarker(session);
+    return {
+      ok: true,
+      key,
+      storageType: TRANSIENT_STORAGE_TYPE,
+      counts,
+      content: session.content,
+      added: fresh.length,
+      updatedAt: session.updatedAt
+    };
+  };
+
+  const removeEntries = (key, matches, options = {}) => {
+    const session = sessions.get(key);
+    if (!session) {
+      return { ok: false, reason: expiredSessions.has(key) ? 'transient-expired' : 'unknown-key' };
+    }
+
+    const kept = session.entries.filter(
+      (entry) => !matches(entry, deriveTransientRelativePath(entry))
+    );
+    const removed = session.entries.length - kept.length;
+    if (removed && !kept.length) {
+      return { ok: false, reason: 'empty-selection' };
+    }
+    let counts = { ...session.counts };
+    if (removed) {
+      try {
+        counts = replaceEntries(session, kept, options);
+      } catch (error) {
+        if (isAbortError(error)) {
+          return { ok: false, reason: 'aborted' };
+        }
+        throw error;
+      }
+      writeMarker(session);
+    }
+    return {
+      ok: true,
+      key,
+      storageType: TRANSIENT_STORAGE_TYPE,
+      removed,
+      counts,
+      content: session.content,
+      updatedAt: session.updatedAt
+    };
+  };
+
+  const update = (key, patch = {}) => {
+    const session = sessions.get(key);
+    if (!session) {
+      return { ok: false, reason: expiredSessions.has(key) ? 'transient-expired' : 'unknown-key' };
+    }
+    session.metadata = mergeUserMetadata(session.metadata, patch);
+    session.updatedAt = now();
+    writeMarker(session);
+    return {
+      ok: true,
+      key,
+      storageType: TRANSIENT_STORAGE_TYPE,
+      metadata: { ...session.metadata },
+      updatedAt: session.updatedAt
+    };
+  };
+
+  const expireSession = (key, reason = 'expired') => {
+    const session = sessions.get(key);
+    if (!session) {
+      return { ok: false, reason: 'unknown-key' };
+    }
+
+    const persisted = persistTombstones([markExpired(session, reason, now())]);
+    return { ok: true, key, reason, persisted };
+  };
+
+  const getEntries = (key) => {
+    const session = sessions.get(key);
+    return session ? session.entries.slice() : null;
+  };
+
+  const findEntry = (key, relativePath) => {
+    const session = sessions.get(key);
+    if (!session) {
+      return { ok: false, reason: 'transient-expired' };
+    }
+    const entry = session.pathIndex.get(splitRelativePath(relativePath).join('/'));
+    return entry ? { ok: true, entry } : { ok: false, reason: 'file-not-found' };
+  };
+
+  const getSession = (key) => {
+    const session = sessions.get(key);
+    if (!session) {
+      return null;
+    }
+    return {
+      key: session.key,
+      counts: { ...session.counts },
+      filters: session.filters,
+      expires: { ...session.expires },
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      tabId: session.tabId,
+      metadata: { ...session.metadata },
+      content: session.content,
+      entries: session.entries.slice()
+    };
+  };
+
+  // Transient manifests stay in memory alongside the session they describe.
+  const setManifest = (key, entries = []) => {
+    const session = sessions.get(key);
+    if (!session) {
+      return null;
+    }
+    session.manifest = {
+      key,
+      capturedAt: now(),
+      entries: entries.map(toManifestEntry)
+    };
+    return session.manifest;
+  };
+
+  const getManifest = (key) => sessions.get(key)?.manifest ?? null;
+
+  const listKeys = () => Array.from(sessions.keys());
+
+  const getStatus = (key) => {
+    if (sessions.has(key)) {
+      const session = sessions.get(key);
+      return {
+        status: 'active',
+        key,
+        expires: { ...session.expires },
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+      };
+    }
+    if (expiredSessions.has(key)) {
+      return expiredSessions.get(key);
+    }
+    return { status: 'missing', reason: 'unknown-key', key };
+  };
+
+  const remove = async (key) => {
+    const removedActive = sessions.delete(key);
+    const removedExpired = expiredSessions.delete(key);
+    if (!removedActive && !removedExpired) {
+      return { ok: false, reason: 'unknown-key' };
+    }
+    if (registry) {
+      await queueRegistryWrite(() => registry.removeKey(key)).catch(() => {});
+    }
+    return { ok: true, key };
+  };
+
+  const pruneExpired = ({ olderThan = Infinity } = {}) => {
+    const removed = [];
+    for (const [key, status] of expiredSessions) {
+      if ((status.expiredAt ?? 0) < olderThan) {
+        expiredSessions.delete(key);
+        removed.push(key);
+      }
+    }
+    return removed;
+  };
+
+  return {
+    persistEntries,
+    getEntries,
+    findEntry,
+    getSession,
+    listKeys,
+    expireSession,
+    expireAll,
+    getStatus,
+    appendEntries,
+    removeEntries,
+    update,
     remove,
-    requestPermissions
+    pruneExpired,
+    setManifest,
+    getManifest
+  };
+};
+
+const isStorageEvent = (candidate) =>
+  isPlainObject(candidate) &&
+  STORAGE_EVENT_TYPES.includes(candidate.type) &&
+  typeof candidate.key === 'string';
+
+// Change notifications for every tab of the origin. Local handlers run
+// immediately; other tabs hear about it over BroadcastChannel, or through the
+// localStorage bus where BroadcastChannel is missing.
+export const createStorageEvents = (options = {}) => {
+  const {
+    channelName = DEFAULT_EVENT_CHANNEL_NAME,
+    lsBusKey = `${channelName}:bus`,
+    getTabId = null,
+    now = () => Date.now(),
+    openChannel = () => createMessagingChannel({ channelName, lsBusKey })
+  } = options;
+
+  const handlers = new Map(STORAGE_EVENT_TYPES.map((type) => [type, new Set()]));
+  let channel = null;
+
+  const dispatch = (event) => {
+    for (const handler of handlers.get(event.type)) {
+      try {
+        handler(event);
+      } catch {
+        // Ignore handler failures so other observers still fire.
+      }
+    }
+  };
+
+  const ensureChannel = () => {
+    if (!channel) {
+      channel = openChannel();
+      channel?.onMessage((message) => {
+        if (isStorageEvent(message)) {
+          dispatch({ ...message, remote: true });
+        }
+      });
+    }
+    return channel;
+  };
+
+  const resolveTabId = async () => {
+    if (typeof getTabId !== 'function') {
+      return null;
+    }
+    try {
+      return (await getTabId()) ?? null;
+    } catch {
+      return null;
+    }
+  };
+
+  const on = (type, handler) => {
+    if (!handlers.has(type)) {
+      throw new Error(`Unknown file storage event "${type}"`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('on requires a handler function');
+    }
+    ensureChannel();
+    handlers.get(type).add(handler);
+    return () => handlers.get(type).delete(handler);
+  };
+
+  const emit = async (type, { key, storageType = null, tabId, ...details } = {}) => {
+    const event = {
+      ...details,
+      type,
+      key,
+      storageType,
+      tabId: tabId ?? (await resolveTabId()),
+      timestamp: now()
+    };
+    dispatch({ ...event, remote: false });
+    try {
+      ensureChannel()?.postMessage(event);
+    } catch {
+      // Cross-tab delivery is best-effort.
+    }
+    return event;
+  };
+
+  const dispose = () => {
+    handlers.forEach((set) => set.clear());
+    channel?.dispose();
+    channel = null;
+  };
+
+  return { on, emit, dispose };
+};
+
+const toFileVersion = (source) => ({
+  size: source?.size ?? null,
+  lastModified: source?.lastModified ?? null
+});
+
+const hasFileVersionChanged = (before, after) =>
+  before.size !== after.size || before.lastModified !== after.lastModified;
+
+// A File is a snapshot: browsers reject reads with NotReadableError once the
+// file on disk no longer matches the size and lastModified it was taken with.
+const isSnapshotReadError = (error) => error?.name === 'NotReadableError';
+
+const mapReadError = (error) =>
+  error?.name === 'NotAllowedError' || error?.name === 'SecurityError'
+    ? 'permission-denied'
+    : error?.name === 'NotFoundError'
+      ? 'file-not-found'
+      : 'read-error';
+
+async function* rethrowAbortAsStorageError(iterator, key) {
+  try {
+    yield* iterator;
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw createStorageError('aborted', `Enumeration of "${key}" was aborted`, { key });
+    }
+    throw error;
+  }
+}
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const digestSha256 = (data) => globalThis.crypto.subtle.digest('SHA-256', data);
+
+// The root hash is SHA-256 over the concatenated chunk digests, so a receiver
+// can verify individual chunks and the whole file from the same list.
+const hashFileChunks = async (file, { chunkSize, signal, onChunk }) => {
+  const chunkDigests = [];
+  for (let position = 0; position < file.size; position += chunkSize) {
+    throwIfAborted(signal);
+    const end = Math.min(position + chunkSize, file.size);
+    const buffer = await file.slice(position, end).arrayBuffer();
+    chunkDigests.push(new Uint8Array(await digestSha256(buffer)));
+    onChunk(end - position);
+  }
+
+  const combined = new Uint8Array(chunkDigests.length * 32);
+  chunkDigests.forEach((digest, index) => combined.set(digest, index * 32));
+  return {
+    chunks: chunkDigests.map(toHex),
+    root: toHex(await digestSha256(combined))
+  };
+};
+
+// Accepts a predicate `(item, { relativePath }) => boolean`, a relative path,
+// or an array of them. A path also matches everything stored beneath it; path
+// matchers expose the normalized `paths` they were built from.
+const createSelectionMatcher = (predicateOrPaths) => {
+  if (typeof predicateOrPaths === 'function') {
+    return (item, relativePath) => Boolean(predicateOrPaths(item, { relativePath }));
+  }
+  const rawPaths =
+    typeof predicateOrPaths === 'string'
+      ? [predicateOrPaths]
+      : normalizeSelectionInput(predicateOrPaths);
+  const paths = rawPaths
+    .filter((path) => typeof path === 'string')
+    .map((path) => splitRelativePath(path).join('/'))
+    .filter(Boolean);
+  if (!paths.length) {
+    return null;
+  }
+  return Object.assign(
+    (item, relativePath) => paths.some((path) => isWithinPath(relativePath, path)),
+    { paths }
+  );
+};
+
+const describeExpiration = (status = {}) => ({
+  reason: status.reason ?? EXPIRED_STATUS,
+  tabId: status.tabId ?? null,
+  expiredAt: status.expiredAt ?? null,
+  counts: status.counts ?? null
+});
+
+// Without a live session in this tab, these rows describe a gone selection.
+const isTransientRow = (record) =>
+  record?.status === EXPIRED_STATUS || record?.status === TRANSIENT_STATUS;
+
+const toRecordSummary = (record) => ({
+  key: record.key,
+  storageType: record.storageType ?? DEFAULT_STORAGE_TYPE,
+  status: isTransientRow(record) ? EXPIRED_STATUS : 'active',
+  metadata: pickUserMetadata(record),
+  counts: record.counts ? { ...record.counts } : null,
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt,
+  ...(isTransientRow(record) ? { expired: describeExpiration(record) } : {})
+});
+
+const COUNT_FIELDS = ['files', 'directories', 'handles', 'filtered'];
+
+const sumCounts = (left, right) =>
+  Object.fromEntries(
+    COUNT_FIELDS.map((field) => [field, (left?.[field] ?? 0) + (right?.[field] ?? 0)])
+  );
+
+const countsDiffer = (left, right) =>
+  !left || !right || COUNT_FIELDS.some((field) => (left[field] ?? 0) !== (right[field] ?? 0));
+
+// An interrupted add never handed its key to a caller, so orphaned handle
+// records are dropped rather than resurrected without their metadata. Rows of
+// an unregistered type may own data elsewhere (a backend that is simply not
+// registered on this page), so only rows that never got a type are deleted
+// unless `pruneUnknown` is set.
+const planRepairAction = (issue, { pruneUnknown = false } = {}) => {
+  switch (issue.type) {
+    case 'orphan-registry-record':
+      return 'remove-registry-record';
+    case 'orphan-handle-record':
+      return 'remove-handle-record';
+    case 'unknown-storage-type':
+      if (issue.hasHandles) {
+        return 'set-storage-type';
+      }
+      return pruneUnknown || !issue.storageType || issue.storageType === DEFAULT_STORAGE_TYPE
+        ? 'remove-registry-record'
+        : null;
+    case 'stale-counts':
+      return 'update-counts';
+    case 'orphan-manifest':
+      return 'remove-manifest';
+    case 'orphan-hash-cache':
+      return 'remove-hash-cache';
+    case 'orphan-transfer-state':
+      return 'remove-transfer-state';
+    default:
+      return null;
+  }
+};
+
+const summarizeTransientSession = (session, options = {}) => {
+  const { summary, content } = summarizeTransientContents(session.entries, {
+    ...options,
+    filters: session.filters
+  });
+  return {
+    counts: summary,
+    content,
+    expires: { ...session.expires },
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+};
+
+// Storage backends behind the public API. Every backend implements
+//   persist(items, metadata, options) -> { ok, key, storageType, counts, ... }
+//   getRecord(key)                    -> the stored record (or session), or null
+//   count(key, traversalOptions)      -> { ok, counts, partial?, reason?, expires? }
+//   enumerate(key, traversalOptions)  -> async iterable of `enumerate()` entries
+//   remove(key)                       -> { ok, key } or { ok:false, reason }
+// and may add requestPermissions(key, options) (which may prompt),
+// queryPermissions(key, options) (which must not), readFile(key, relativePath),
+// append(key, items, options), removeItems(key, matches, options),
+// update(key, patch), saveManifest/getManifest and describe(record).
+// `persistent` backends keep registry rows under their storageType (so keys
+// survive reloads and share the manifest/hash stores); the others are found by
+// asking getRecord.
+const REQUIRED_BACKEND_METHODS = ['persist', 'getRecord', 'count', 'enumerate', 'remove'];
+
+// Builds an isolated instance of the public API. Instances that share a
+// `dbName` share the stored data; a different `dbName` also gets its own event
+// channel and eviction marker, so two widgets on one origin stay apart.
+export const createFileStorageModule = (options = {}) => {
+  const {
+    dbName = DEFAULT_DB_NAME,
+    now = () => Date.now(),
+    keyFactory = generateRegistryKey,
+    beforeUnloadTarget = globalThis,
+    getTabId = () => browserIdModule.getTabId(),
+    openDatabase = defaultOpenDatabase,
+    permissionRequester,
+    permissionQuerier,
+    instanceMarker = null
+  } = options;
+  const isDefaultDb = dbName === DEFAULT_DB_NAME;
+  const {
+    channelName = isDefaultDb
+      ? DEFAULT_EVENT_CHANNEL_NAME
+      : `${DEFAULT_EVENT_CHANNEL_NAME}:${dbName}`,
+    markerName = isDefaultDb
+      ? DEFAULT_INSTANCE_MARKER_NAME
+      : `${DEFAULT_INSTANCE_MARKER_NAME}.${dbName}`
+  } = options;
+
+  const registry = createRegistry({ dbName, now, keyFactory, openDatabase });
+  const manifests = createManifestStore({ dbName, now, openDatabase });
+  const nativeHandles = createNativeHandleBackend({
+    registry,
+    dbName,
+    now,
+    openDatabase,
+    permissionRequester,
+    permissionQuerier,
+    manifests
+  });
+  const hashCache = createHashCache({ dbName, openDatabase, now });
+  const transferState = createTransferStateStore({ dbName, openDatabase, now });
+  const metaStore = createMetaStore({ dbName, openDatabase, now });
+  const evictionMonitor = createEvictionMonitor({
+    metaStore,
+    registry,
+    now,
+    marker: instanceMarker ?? createInstanceMarker({ name: markerName })
+  });
+  const storageEvents = createStorageEvents({ channelName, getTabId, now });
+  const transientSessions = createTransientSessionBackend({
+    registry,
+    keyFactory,
+    now,
+    beforeUnloadTarget,
+    getTabId,
+    onExpired: ({ key, tabId, reason }) => {
+      notifyChange('expired', { key, storageType: TRANSIENT_STORAGE_TYPE, tabId, reason });
+    }
+  });
+  // Transient halves of composite selections; no tombstones, the key lives on.
+  const transientParts = createTransientSessionBackend({
+    keyFactory,
+    now,
+    beforeUnloadTarget,
+    getTabId,
+    onExpired: ({ key, tabId, reason }) => {
+      notifyChange('expired', {
+        key,
+        storageType: COMPOSITE_STORAGE_TYPE,
+        tabId,
+        reason,
+        part: 'transient'
+      });
+    }
+  });
+  const permissionStates = new Map();
+  const backends = new Map();
+  let backendRegistrations = 0;
+
+  // Fire-and-forget so callers never wait on tab ID resolution.
+  const notifyChange = (type, details) => {
+    storageEvents.emit(type, details).catch(() => {});
+  };
+
+  // Passes `result` through, broadcasting `type` when the operation succeeded.
+  const announceChange = (type, details, result) => {
+    if (result?.ok) {
+      notifyChange(type, details);
+    }
+    return result;
+  };
+
+  // Only state transitions are broadcast; the first observation of a key counts.
+  const notePermissionState = (key, state, storageType = NATIVE_HANDLE_STORAGE_TYPE) => {
+    if (!state || permissionStates.get(key) === state) {
+      return;
+    }
+    permissionStates.set(key, state);
+    notifyChange('permission-changed', { key, storageType, state });
+  };
+
+  // `method` is the backend's requestPermissions (may prompt) or
+  // queryPermissions (never prompts).
+  const checkSelectionPermissions = async (key, options = {}, method) => {
+    const lookup = await resolveStorageLookup(key);
+    if (!lookup.ok) {
+      return {
+        ok: false,
+        reason: lookup.reason,
+        storageType: lookup.storageType
+      };
+    }
+    const backend = getBackend(lookup.storageType);
+    if (typeof backend?.[method] !== 'function') {
+      return {
+        ok: false,
+        reason: 'unsupported-storage',
+        storageType: lookup.storageType
+      };
+    }
+    const result = await backend[method](key, options);
+    notePermissionState(key, result.state === 'missing' ? null : result.state, lookup.storageType);
+    return result;
+  };
+
+  const resolveStorageLookup = async (key) => {
+    if (!key) {
+      return { ok: false, reason: 'missing-key' };
+    }
+
+    const registryRecord = await registry.getRecord(key);
+    if (isTransientRow(registryRecord) && !transientSessions.getSession(key)) {
+      return {
+        ok: false,
+        key,
+        storageType: registryRecord.storageType ?? TRANSIENT_STORAGE_TYPE,
+        reason: 'transient-expired',
+        status: registryRecord
+      };
+    }
+    if (registryRecord && !isTransientRow(registryRecord)) {
+      return {
+        ok: true,
+        key,
+        storageType: registryRecord.storageType ?? DEFAULT_STORAGE_TYPE,
+        source: 'registry',
+        record: registryRecord
+      };
+    }
+
+    // Backends without registry rows (tab-local sessions) answer for themselves.
+    for (const { storageType, backend } of backends.values()) {
+      if (backend.persistent) {
+        continue;
+      }
+      const session = await backend.getRecord(key);
+      if (session) {
+        return { ok: true, key, storageType, source: storageType, session };
+      }
+    }
+
+    const status = transientSessions.getStatus(key);
+    if (status?.status === 'expired') {
+      return {
+        ok: false,
+        key,
+        storageType: TRANSIENT_STORAGE_TYPE,
+        reason: 'transient-expired',
+        status
+      };
+    }
+
+    return { ok: false, key, reason: 'unknown-key' };
+  };
+
+  const recountNativeHandles = async (key, options = {}) => {
+    const record = await nativeHandles.getRecord(key);
+    if (!record) {
+      return { ok: false, reason: 'unknown-key' };
+    }
+
+    // File stats are only re-read when the cached summary covers a different
+    // number of files.
+    const contentFiles = [];
+    let counts;
+    let content = record.content;
+    try {
+      counts = await summarizeHandles(record.handles, {
+        ...options,
+        filters: record.filters,
+        contentFiles
+      });
+      if (options.refreshContent === true || countContentFiles(content) !== counts.files) {
+        ({ content } = await readHandleContents(contentFiles, options));
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { ok: false, reason: 'aborted' };
+      }
+      return { ok: false, reason: 'traversal-error', error };
+    }
+
+    // The stored counts stay as captured so missing entries remain detectable.
+    if (!isSameContentSummary(record.content, content)) {
+      await nativeHandles.writeContent(key, content);
+    }
+
+    const partial = hasMissingEntries(counts, record);
+    return {
+      ok: true,
+      counts,
+      content,
+      partial,
+      reason: partial ? 'entries-missing' : undefined,
+      record
+    };
+  };
+
+  const resolveNativeReadableFile = async (key, relativePath) => {
+    const record = await nativeHandles.getRecord(key);
+    if (!record) {
+      return { ok: false, reason: 'unknown-key' };
+    }
+    try {
+      const handle = await resolveNativeFileHandle(record.handles, relativePath);
+      if (!handle || typeof handle.getFile !== 'function') {
+        return { ok: false, reason: 'file-not-found' };
+      }
+      return { ok: true, file: await handle.getFile() };
+    } catch (error) {
+      return { ok: false, reason: mapReadError(error), error };
+    }
+  };
+
+  const resolveTransientReadableFile = (key, relativePath, sessions = transientSessions) => {
+    const found = sessions.findEntry(key, relativePath);
+    if (!found.ok) {
+      return found;
+    }
+    const { entry } = found;
+    if (!isReadableBlob(entry)) {
+      return { ok: false, reason: 'unreadable-entry' };
+    }
+    return { ok: true, file: entry, snapshot: true };
+  };
+
+  const resolveReadableFile = async (lookup, relativePath) => {
+    const backend = getBackend(lookup.storageType);
+    if (typeof backend?.readFile !== 'function') {
+      return { ok: false, reason: 'unsupported-storage' };
+    }
+    return backend.readFile(lookup.key, relativePath);
   };
-};
 
-export const createTransientSessionBackend = (options = {}) => {
-  const {
-    keyFactory = generateRegistryKey,
-    now = () => Date.now(),
-    expirationMessage = DEFAULT_TRANSIENT_EXPIRATION_MESSAGE,
-    beforeUnloadTarget = globalThis
-  } = options;
+  const loadManifest = async (lookup) => {
+    const backend = getBackend(lookup.storageType);
+    return typeof backend?.getManifest === 'function'
+      ? backend.getManifest(lookup.key)
+      : manifests.getManifest(lookup.key);
+  };
 
-  if (typeof keyFactory !== 'function') {
-    throw new Error('createTransientSessionBackend requires a keyFactory function');
-  }
+  // Any change event for a key, from this tab or another, drops its index.
+  const manifestIndexes = new Map();
+  let manifestIndexEventsAttached = false;
 
-  const sessions = new Map();
-  const expiredSessions = new Map();
-  let unloadListenerAttached = false;
+  const forgetManifestIndex = (key) => {
+    manifestIndexes.delete(key);
+  };
 
-  const expireAll = (reason = 'expired') => {
-    if (!sessions.size) {
-      return { count: 0 };
+  const loadManifestIndex = (lookup) => {
+    if (getBackend(lookup.storageType)?.persistent !== true) {
+      return loadManifest(lookup).then(indexManifestEntries);
     }
-
-    const expiredAt = now();
-    for (const session of sessions.values()) {
-      expiredSessions.set(session.key, {
-        status: 'expired',
-        reason,
-        key: session.key,
-        expiredAt,
-        message: session.expires.message
+    if (!manifestIndexEventsAttached) {
+      manifestIndexEventsAttached = true;
+      ['added', 'updated', 'removed'].forEach((type) =>
+        storageEvents.on(type, (event) => forgetManifestIndex(event.key))
+      );
+    }
+    if (!manifestIndexes.has(lookup.key)) {
+      const index = loadManifest(lookup).then(indexManifestEntries);
+      manifestIndexes.set(lookup.key, index);
+      index.catch(() => {
+        if (manifestIndexes.get(lookup.key) === index) {
+          forgetManifestIndex(lookup.key);
+        }
       });
     }
-    const count = sessions.size;
-    sessions.clear();
-    return { count };
+    return manifestIndexes.get(lookup.key);
   };
 
-  const ensureBeforeUnloadListener = () => {
-    if (unloadListenerAttached) {
-      return;
+  // Compares the file with `expected`, else its manifest entry. `acceptChanges`
+  // records the new version instead of refusing it.
+  const resolveCheckedFile = async (lookup, relativePath, expected, options = {}) => {
+    const resolved = await resolveReadableFile(lookup, relativePath);
+    if (!resolved.ok) {
+      return resolved;
     }
-    if (
-      beforeUnloadTarget &&
-      typeof beforeUnloadTarget.addEventListener === 'function'
-    ) {
-      const handler = () => {
-        expireAll('page-unload');
-      };
-      beforeUnloadTarget.addEventListener('beforeunload', handler);
-      unloadListenerAttached = true;
+    const captured = expected ?? (await loadManifestIndex(lookup)).get(relativePath);
+    if (captured) {
+      const before = toFileVersion(captured);
+      const after = toFileVersion(resolved.file);
+      if (!hasFileVersionChanged(before, after)) {
+        return resolved;
+      }
+      if (options.acceptChanges !== true) {
+        return { ok: false, reason: 'file-changed', path: relativePath, before, after };
+      }
+      if (getBackend(lookup.storageType)?.persistent === true) {
+        await manifests.updateEntries(lookup.key, { put: [{ relativePath, ...after }] });
+        forgetManifestIndex(lookup.key);
+        notifyChange('updated', {
+          key: lookup.key,
+          storageType: lookup.storageType,
+          change: 'manifest'
+        });
+      }
     }
+    return resolved;
   };
 
-  const persistEntries = (rawEntries, metadata = {}) => {
-    const entries = normalizeTransientEntries(rawEntries);
-    if (!entries.length) {
-      throw new Error('persistEntries requires a non-empty entries array');
+  // A stale native snapshot is re-read from its handle to report the change.
+  const describeReadFailure = async (lookup, relativePath, resolved, error) => {
+    if (!isSnapshotReadError(error)) {
+      return { reason: mapReadError(error), path: relativePath, error };
     }
+    if (resolved.snapshot) {
+      return { reason: 'snapshot-stale', path: relativePath, error };
+    }
+    const current = await resolveReadableFile(lookup, relativePath);
+    return {
+      reason: 'file-changed',
+      path: relativePath,
+      before: toFileVersion(resolved.file),
+      after: current.ok ? toFileVersion(current.file) : null,
+      error
+    };
+  };
 
-    const invalidEntry = entries.find((entry) => !isTransientEntry(entry));
-    if (invalidEntry) {
-      throw new Error('persistEntries expected File or entry-like objects');
+  const toReadFailureError = async (lookup, relativePath, resolved, error) => {
+    if (isAbortError(error)) {
+      return error;
     }
+    const failure = await describeReadFailure(lookup, relativePath, resolved, error);
+    const message =
+      failure.reason === 'snapshot-stale'
+        ? `The selected copy of "${relativePath}" is out of date; select it again`
+        : failure.reason === 'file-changed'
+          ? `"${relativePath}" changed while it was being read`
+          : `Reading "${relativePath}" failed`;
+    return createStorageError(failure.reason, message, { key: lookup.key, ...failure });
+  };
 
-    const key = metadata.key ?? keyFactory();
-    const createdAt = metadata.createdAt ?? now();
-    const storedEntries = entries.map((entry) => entry);
-    const counts = summarizeTransientEntries(storedEntries);
-    const session = {
-      key,
-      entries: storedEntries,
-      createdAt,
-      updatedAt: metadata.updatedAt ?? createdAt,
-      counts,
-      expires: {
-        reason: 'page-unload',
-        message: expirationMessage
+  async function* enumerateSelection(key, options = {}) {
+    const lookup = await resolveStorageLookup(key);
+    if (!lookup.ok) {
+      throw createStorageError(lookup.reason, `Cannot enumerate selection "${key}"`, {
+        key,
+        storageType: lookup.storageType
+      });
+    }
+
+    const backend = getBackend(lookup.storageType);
+    if (!backend) {
+      throw createStorageError('unsupported-storage', `Cannot enumerate selection "${key}"`, {
+        key,
+        storageType: lookup.storageType
+      });
+    }
+    yield* rethrowAbortAsStorageError(backend.enumerate(key, options), key);
+  }
+
+  const collectFileEntries = async (key, options = {}) => {
+    const entries = [];
+    try {
+      for await (const entry of enumerateSelection(key, options)) {
+        if (entry.kind === 'file') {
+          entries.push(entry);
+        }
       }
-    };
+    } catch (error) {
+      if (error?.name === 'FileStorageError') {
+        return { ok: false, reason: error.reason };
+      }
+      return { ok: false, reason: 'traversal-error', error };
+    }
+    return { ok: true, entries };
+  };
 
-    sessions.set(key, session);
-    expiredSessions.delete(key);
-    ensureBeforeUnloadListener();
+  // Transfer state only makes sense for selections that survive a reload.
+  const resolveTransferTarget = async (key, peerId, relativePath) => {
+    if (typeof peerId !== 'string' || !peerId) {
+      return { ok: false, reason: 'missing-peer-id' };
+    }
+    const path = splitRelativePath(relativePath).join('/');
+    if (relativePath !== undefined && !path) {
+      return { ok: false, reason: 'file-not-found' };
+    }
+    const lookup = await resolveStorageLookup(key);
+    if (!lookup.ok) {
+      return { ok: false, reason: lookup.reason, storageType: lookup.storageType };
+    }
+    if (getBackend(lookup.storageType)?.persistent !== true) {
+      return { ok: false, reason: 'unsupported-storage', storageType: lookup.storageType };
+    }
+    return { ok: true, key, peerId, path };
+  };
 
+  const captureSelectionManifest = async (key, storageType, options = {}) => {
+    const live = await collectFileEntries(key, options);
+    if (!live.ok) {
+      return live;
+    }
+    const backend = getBackend(storageType);
+    const manifest =
+      typeof backend?.saveManifest === 'function'
+        ? await backend.saveManifest(key, live.entries)
+        : await manifests.saveManifest(key, live.entries);
+    forgetManifestIndex(key);
     return {
       ok: true,
       key,
-      storageType: TRANSIENT_STORAGE_TYPE,
-      counts,
-      createdAt: session.createdAt,
-      updatedAt: session.updatedAt,
-      expires: { ...session.expires }
+      capturedAt: manifest.capturedAt,
+      entries: manifest.entries.length
     };
   };
 
-  const expireSession = (key, reason = 'expired') => {
-    const session = sessions.get(key);
-    if (!session) {
-      return { ok: false, reason: 'unknown-key' };
+  const hashSelection = async (key, lookup, options) => {
+    const { chunkSize, signal } = options;
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+    const useCache = getBackend(lookup.storageType)?.persistent === true;
+
+    const listing = await collectFileEntries(key, { signal });
+    if (!listing.ok) {
+      return listing;
     }
 
-    sessions.delete(key);
-    expiredSessions.set(key, {
-      status: 'expired',
-      reason,
-      key,
-      expiredAt: now(),
-      message: session.expires.message
-    });
+    const progress = { files: 0, totalFiles: listing.entries.length, bytes: 0 };
+    const report = (path, cached) => {
+      if (!onProgress) {
+        return;
+      }
+      try {
+        onProgress({ ...progress, path, cached });
+      } catch {
+        // Ignore listener failures.
+      }
+    };
 
-    return { ok: true, key, reason };
-  };
+    const files = [];
+    for (const entry of listing.entries) {
+      const cacheKey = {
+        key,
+        path: entry.relativePath,
+        size: entry.size,
+        lastModified: entry.lastModified
+      };
+      const cached = useCache ? await hashCache.getEntry(cacheKey) : undefined;
+      if (cached && cached.chunkSize === chunkSize) {
+        progress.files += 1;
+        progress.bytes += entry.size ?? 0;
+        files.push({ ...cached, relativePath: entry.relativePath, cached: true });
+        report(entry.relativePath, true);
+        continue;
+      }
 
-  const getEntries = (key) => {
-    const session = sessions.get(key);
-    return session ? session.entries.slice() : null;
+      const resolved = await resolveCheckedFile(lookup, entry.relativePath, entry);
+      if (!resolved.ok) {
+        return { ...resolved, path: entry.relativePath };
+      }
+
+      let digests;
+      try {
+        digests = await hashFileChunks(resolved.file, {
+          chunkSize,
+          signal,
+          onChunk: (bytes) => {
+            progress.bytes += bytes;
+            report(entry.relativePath, false);
+          }
+        });
+      } catch (error) {
+        if (isAbortError(error)) {
+          return { ok: false, reason: 'aborted' };
+        }
+        return {
+          ok: false,
+          ...(await describeReadFailure(lookup, entry.relativePath, resolved, error))
+        };
+      }
+
+      const record = { ...cacheKey, chunkSize, ...digests, hashedAt: now() };
+      if (useCache) {
+        await hashCache.putEntry(record);
+      }
+      progress.files += 1;
+      files.push({ ...record, relativePath: entry.relativePath, cached: false });
+      report(entry.relativePath, false);
+    }
+
+    return { ok: true, key, storageType: lookup.storageType, chunkSize, files };
   };
 
-  const getSession = (key) => {
-    const session = sessions.get(key);
-    if (!session) {
-      return null;
+  // Live transient sessions keep their entries in memory, so listRecords
+  // merges them in with the same shape and ordering as registry records.
+  const listLiveTransientRecords = () =>
+    transientSessions
+      .listKeys()
+      .map((key) => transientSessions.getSession(key))
+      .filter(Boolean)
+      .map((session) => ({
+        key: session.key,
+        storageType: TRANSIENT_STORAGE_TYPE,
+        counts: session.counts,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        ...session.metadata
+      }));
+
+  // Cross-checks every store against the registry. The nativeHandles record is
+  // written first and deleted first, so its counts are authoritative; `recount`
+  // additionally re-walks the handles, which needs read permission.
+  const inspectIntegrity = async (options = {}) => {
+    const [registryRecords, handleRecords, manifestKeys, hashKeys, transferKeys] =
+      await Promise.all([
+        registry.listRecords(),
+        nativeHandles.listRecords(),
+        manifests.listKeys(),
+        hashCache.listKeys(),
+        transferState.listKeys()
+      ]);
+    const registryByKey = new Map(registryRecords.map((record) => [record.key, record]));
+    const handleKeys = new Set(handleRecords.map((record) => record.key));
+    const issues = [];
+
+    for (const record of registryRecords) {
+      if (!backends.has(record.storageType)) {
+        issues.push({
+          type: 'unknown-storage-type',
+          key: record.key,
+          storageType: record.storageType ?? null,
+          hasHandles: handleKeys.has(record.key)
+        });
+      } else if (
+        (record.storageType === NATIVE_HANDLE_STORAGE_TYPE ||
+          record.storageType === COMPOSITE_STORAGE_TYPE) &&
+        !handleKeys.has(record.key)
+      ) {
+        issues.push({ type: 'orphan-registry-record', key: record.key });
+      }
+    }
+
+    for (const record of handleRecords) {
+      const registryRecord = registryByKey.get(record.key);
+      if (!registryRecord) {
+        issues.push({ type: 'orphan-handle-record', key: record.key });
+        continue;
+      }
+      if (registryRecord.storageType !== NATIVE_HANDLE_STORAGE_TYPE) {
+        continue;
+      }
+      let actual = readStoredCounts(record);
+      if (options.recount) {
+        try {
+          actual = await summarizeHandles(record.handles, {
+            filters: record.filters,
+            signal: options.signal
+          });
+        } catch (error) {
+          if (isAbortError(error)) {
+            throw error;
+          }
+          // Unreadable handles are a permission problem, not an integrity one.
+        }
+      }
+      const stored = registryRecord.counts ?? null;
+      if (countsDiffer(stored, actual) || countsDiffer(readStoredCounts(record), actual)) {
+        issues.push({ type: 'stale-counts', key: record.key, stored, actual });
+      }
     }
+
+    const isKnownKey = (key) => registryByKey.has(key) || handleKeys.has(key);
+    manifestKeys
+      .filter((key) => !isKnownKey(key))
+      .forEach((key) => issues.push({ type: 'orphan-manifest', key }));
+    hashKeys
+      .filter((key) => !isKnownKey(key))
+      .forEach((key) => issues.push({ type: 'orphan-hash-cache', key }));
+    transferKeys
+      .filter((key) => !isKnownKey(key))
+      .forEach((key) => issues.push({ type: 'orphan-transfer-state', key }));
+
     return {
-      key: session.key,
-      counts: { ...session.counts },
-      expires: { ...session.expires },
-      createdAt: session.createdAt,
-      updatedAt: session.updatedAt,
-      entries: session.entries.slice()
+      ok: true,
+      healthy: issues.length === 0,
+      issues,
+      checked: {
+        registry: registryRecords.length,
+        nativeHandles: handleRecords.length,
+        manifests: manifestKeys.length,
+        hashCache: hashKeys.length,
+        transferState: transferKeys.length
+      }
     };
   };
 
-  const listKeys = () => Array.from(sessions.keys());
+  const removeDerivedData = async (key) => {
+    forgetManifestIndex(key);
+    await manifests.removeManifest(key);
+    await hashCache.removeForKey(key);
+    await transferState.removeForKey(key);
+  };
 
-  const getStatus = (key) => {
-    if (sessions.has(key)) {
-      const session = sessions.get(key);
-      return {
-        status: 'active',
-        key,
-        expires: { ...session.expires },
-        createdAt: session.createdAt,
-        updatedAt: session.updatedAt
-      };
-    }
-    if (expiredSessions.has(key)) {
-      return expiredSessions.get(key);
+  const applyRepairAction = async (action, issue) => {
+    const { key } = issue;
+    switch (action) {
+      case 'remove-registry-record':
+        await registry.removeKey(key);
+        await removeDerivedData(key);
+        notifyChange('removed', {
+          key,
+          storageType: issue.storageType ?? NATIVE_HANDLE_STORAGE_TYPE
+        });
+        return;
+      case 'remove-handle-record':
+        await nativeHandles.deleteRecord(key);
+        await removeDerivedData(key);
+        return;
+      case 'set-storage-type': {
+        const current = await registry.getRecord(key);
+        await registry.updateRecord(key, {
+          storageType: NATIVE_HANDLE_STORAGE_TYPE,
+          updatedAt: current?.updatedAt
+        });
+        return;
+      }
+      case 'update-counts': {
+        const current = await registry.getRecord(key);
+        await nativeHandles.writeCounts(key, issue.actual);
+        await registry.updateRecord(key, { counts: issue.actual, updatedAt: current?.updatedAt });
+        return;
+      }
+      case 'remove-manifest':
+        forgetManifestIndex(key);
+        await manifests.removeManifest(key);
+        return;
+      case 'remove-hash-cache':
+        await hashCache.removeForKey(key);
+        return;
+      case 'remove-transfer-state':
+        await transferState.removeForKey(key);
+        return;
+      default:
     }
-    return { status: 'missing', reason: 'unknown-key', key };
   };
 
-  const remove = (key) => {
-    const removedActive = sessions.delete(key);
-    const removedExpired = expiredSessions.delete(key);
-    if (removedActive || removedExpired) {
-      return { ok: true, key };
+  const getBackend = (storageType) => backends.get(storageType)?.backend ?? null;
+
+  // `add` asks the most recently registered backend first, so plug-ins can claim
+  // selections before the built-in fallbacks see them.
+  const selectBackend = (items) =>
+    Array.from(backends.values())
+      .sort((left, right) => right.order - left.order)
+      .find((entry) => entry.canHandle(items)) ?? null;
+
+  // Re-registering a storageType replaces it; the returned function restores
+  // whatever was registered before, at its original priority.
+  const registerBackendEntry = (storageType, backend, options = {}) => {
+    if (typeof storageType !== 'string' || !storageType) {
+      throw new Error('registerBackend requires a storageType string');
+    }
+    const missing = REQUIRED_BACKEND_METHODS.filter(
+      (method) => typeof backend?.[method] !== 'function'
+    );
+    if (missing.length) {
+      throw new Error(`Backend "${storageType}" is missing ${missing.join(', ')}`);
     }
-    return { ok: false, reason: 'unknown-key' };
+    if (options.canHandle !== undefined && typeof options.canHandle !== 'function') {
+      throw new Error('registerBackend expects canHandle to be a function');
+    }
+
+    const previous = backends.get(storageType);
+    backendRegistrations += 1;
+    const entry = {
+      storageType,
+      backend,
+      canHandle: options.canHandle ?? (() => false),
+      order: backendRegistrations
+    };
+    backends.set(storageType, entry);
+    return () => {
+      if (backends.get(storageType) !== entry) {
+        return;
+      }
+      backends.delete(storageType);
+      if (previous) {
+        backends.set(storageType, previous);
+      }
+    };
   };
 
-  return {
-    persistEntries,
-    getEntries,
-    getSession,
-    listKeys,
-    expireSession,
-    expireAll,
-    getStatus,
-    remove
+  const nativeHandleAdapter = {
+    persistent: true,
+    missingReason: 'unknown-key',
+    persist: (items, metadata, options) => nativeHandles.persistHandles(items, metadata, options),
+    getRecord: (key) => nativeHandles.getRecord(key),
+    count: (key, options) => recountNativeHandles(key, options),
+    async *enumerate(key, options = {}) {
+      const record = await nativeHandles.getRecord(key);
+      if (!record) {
+        throw createStorageError('unknown-key', `Cannot enumerate selection "${key}"`, {
+          key,
+          storageType: NATIVE_HANDLE_STORAGE_TYPE
+        });
+      }
+      yield* enumerateNativeHandles(record.handles, { ...options, filters: record.filters });
+    },
+    remove: (key) => nativeHandles.remove(key),
+    requestPermissions: (key, options) => nativeHandles.requestPermissions(key, options),
+    queryPermissions: (key, options) => nativeHandles.queryPermissions(key, options),
+    readFile: resolveNativeReadableFile,
+    append: (key, items, options) => nativeHandles.appendHandles(key, items, options),
+    removeItems: (key, matches, options) => nativeHandles.removeHandles(key, matches, options),
+    update: (key, patch) => nativeHandles.update(key, patch)
   };
-};
 
-const registry = createRegistry();
-const nativeHandles = createNativeHandleBackend({ registry });
-const transientSessions = createTransientSessionBackend();
+  const createTransientSessionAdapter = (sessions) => ({
+    persistent: false,
+    missingReason: 'transient-expired',
+    persist: async (items, metadata, options) =>
+      sessions.persistEntries(items, metadata, options),
+    getRecord: (key) => sessions.getSession(key),
+    async count(key, options = {}) {
+      const session = sessions.getSession(key);
+      if (!session) {
+        return { ok: false, reason: 'transient-expired' };
+      }
+      try {
+        const summary = summarizeTransientSession(session, options);
+        return {
+          ok: true,
+          counts: summary.counts,
+          content: summary.content,
+          partial: false,
+          expires: summary.expires
+        };
+      } catch (error) {
+        if (isAbortError(error)) {
+          return { ok: false, reason: 'aborted' };
+        }
+        throw error;
+      }
+    },
+    async *enumerate(key, options = {}) {
+      const session = sessions.getSession(key);
+      if (!session) {
+        throw createStorageError('transient-expired', `Cannot enumerate selection "${key}"`, {
+          key,
+          storageType: TRANSIENT_STORAGE_TYPE
+        });
+      }
+      yield* enumerateTransientEntries(session.entries, { ...options, filters: session.filters });
+    },
+    remove: async (key) => sessions.remove(key),
+    readFile: async (key, relativePath) => resolveTransientReadableFile(key, relativePath, sessions),
+    append: async (key, items, options) => sessions.appendEntries(key, items, options),
+    removeItems: async (key, matches, options) =>
+      sessions.removeEntries(key, matches, options),
+    update: async (key, patch) => sessions.update(key, patch),
+    saveManifest: async (key, entries) => sessions.setManifest(key, entries),
+    getManifest: async (key) => sessions.getManifest(key),
+    describe: (session) => ({ expires: { ...session.expires } })
+  });
 
-const resolveStorageLookup = async (key) => {
-  if (!key) {
-    return { ok: false, reason: 'missing-key' };
-  }
+  const transientSessionAdapter = createTransientSessionAdapter(transientSessions);
+  const transientPartAdapter = createTransientSessionAdapter(transientParts);
 
-  const registryRecord = await registry.getRecord(key);
-  if (registryRecord) {
-    return {
-      ok: true,
-      key,
-      storageType: registryRecord.storageType ?? DEFAULT_STORAGE_TYPE,
-      source: 'registry',
-      record: registryRecord
-    };
-  }
+  const writeTransientPartVersions = async (key) => {
+    const entries = [];
+    for await (const entry of transientPartAdapter.enumerate(key)) {
+      if (entry.kind === 'file') {
+        entries.push(entry);
+      }
+    }
+    await manifests.updateEntries(key, { put: entries });
+  };
 
-  const session = transientSessions.getSession(key);
-  if (session) {
+  // Native edits leave native-only counts on the registry row.
+  const finishCompositeEdit = async (key, native, transient, extra) => {
+    const nativeRecord = native ? null : await nativeHandles.getRecord(key);
+    const nativePart = native
+      ? { counts: native.counts, content: native.content }
+      : { counts: readStoredCounts(nativeRecord), content: nativeRecord.content ?? null };
+    const session = transientParts.getSession(key);
+    const registryRecord = await registry.getRecord(key);
+    const transientCounts = session?.counts ?? registryRecord?.parts?.transient?.counts ?? null;
+    const counts = session ? sumCounts(nativePart.counts, session.counts) : nativePart.counts;
+    const updatedAt = Math.max(native?.updatedAt ?? 0, transient?.updatedAt ?? 0);
+    await registry.updateRecord(key, {
+      counts,
+      parts: { transient: { counts: transientCounts } },
+      updatedAt
+    });
     return {
       ok: true,
       key,
-      storageType: TRANSIENT_STORAGE_TYPE,
-      source: 'transient-session',
-      session
+      storageType: COMPOSITE_STORAGE_TYPE,
+      counts,
+      content: session
+        ? mergeContentSummaries(nativePart.content, session.content)
+        : nativePart.content,
+      ...extra,
+      parts: {
+        native: { storageType: NATIVE_HANDLE_STORAGE_TYPE, counts: nativePart.counts },
+        transient: session
+          ? { storageType: TRANSIENT_STORAGE_TYPE, counts: session.counts }
+          : { storageType: TRANSIENT_STORAGE_TYPE, reason: 'transient-expired', counts: null }
+      },
+      updatedAt
     };
-  }
+  };
 
-  const status = transientSessions.getStatus(key);
-  if (status?.status === 'expired') {
-    return {
-      ok: false,
-      key,
-      storageType: TRANSIENT_STORAGE_TYPE,
-      reason: 'transient-expired',
-      status
-    };
-  }
+  // Also drops the manifest `persistHandles` saved.
+  const discardNativePart = async (key) => {
+    await nativeHandles.remove(key);
+    await removeDerivedData(key);
+  };
 
-  return { ok: false, key, reason: 'unknown-key' };
-};
+  // Handles live in `nativeHandles` and everything else in `transientParts`,
+  // both under the composite key; the native half outlives the transient one.
+  const compositeAdapter = {
+    persistent: true,
+    missingReason: 'unknown-key',
+    async persist(items, metadata = {}, options = {}) {
+      const native = await nativeHandles.persistHandles(
+        items.filter((item) => isFileSystemHandle(item)),
+        metadata,
+        options
+      );
+      if (!native.ok) {
+        return native;
+      }
+      let transient;
+      try {
+        transient = await transientParts.persistEntries(
+          items.filter((item) => !isFileSystemHandle(item)),
+          { ...metadata, key: native.key, createdAt: native.createdAt },
+          options
+        );
+      } catch (error) {
+        await discardNativePart(native.key);
+        throw error;
+      }
+      if (!transient.ok) {
+        await discardNativePart(native.key);
+        return transient;
+      }
 
-const recountNativeHandles = async (key) => {
-  const record = await nativeHandles.getRecord(key);
-  if (!record) {
-    return { ok: false, reason: 'unknown-key' };
-  }
+      const counts = sumCounts(native.counts, transient.counts);
+      const content = mergeContentSummaries(native.content, transient.content);
+      await registry.updateRecord(native.key, {
+        storageType: COMPOSITE_STORAGE_TYPE,
+        counts,
+        parts: { transient: { counts: transient.counts } },
+        updatedAt: native.updatedAt
+      });
+      await writeTransientPartVersions(native.key);
+      return {
+        ...native,
+        storageType: COMPOSITE_STORAGE_TYPE,
+        counts,
+        content,
+        parts: {
+          native: { storageType: NATIVE_HANDLE_STORAGE_TYPE, counts: native.counts },
+          transient: { storageType: TRANSIENT_STORAGE_TYPE, counts: transient.counts }
+        },
+        expires: transient.expires
+      };
+    },
+    async getRecord(key) {
+      const record = await nativeHandles.getRecord(key);
+      return record ? { ...record, transient: transientParts.getSession(key) } : null;
+    },
+    async count(key, options = {}) {
+      const native = await recountNativeHandles(key, options);
+      if (!native.ok) {
+        return native;
+      }
+      const transient = await transientPartAdapter.count(key, options);
+      if (!transient.ok && transient.reason !== 'transient-expired') {
+        return transient;
+      }
+      const registryRecord = await registry.getRecord(key);
+      return {
+        ok: true,
+        counts: transient.ok ? sumCounts(native.counts, transient.counts) : native.counts,
+        content: transient.ok
+          ? mergeContentSummaries(native.content, transient.content)
+          : native.content,
+        partial: native.partial || !transient.ok,
+        reason: transient.ok ? native.reason : transient.reason,
+        parts: {
+          native: { ok: true, counts: native.counts, partial: native.partial },
+          transient: transient.ok
+            ? { ok: true, counts: transient.counts }
+            : {
+                ok: false,
+                reason: transient.reason,
+                counts: registryRecord?.parts?.transient?.counts ?? null
+              }
+        },
+        ...(transient.expires ? { expires: transient.expires } : {})
+      };
+    },
+    async *enumerate(key, options = {}) {
+      yield* nativeHandleAdapter.enumerate(key, options);
+      if (transientParts.getSession(key)) {
+        yield* transientPartAdapter.enumerate(key, options);
+      }
+    },
+    async remove(key) {
+      await transientParts.remove(key);
+      return nativeHandles.remove(key);
+    },
+    requestPermissions: (key, options) => nativeHandles.requestPermissions(key, options),
+    queryPermissions: (key, options) => nativeHandles.queryPermissions(key, options),
+    async append(key, items, options = {}) {
+      const additions = normalizeSelectionInput(items);
+      if (!additions.length) {
+        return { ok: false, reason: 'no-selection' };
+      }
+      const handles = additions.filter((item) => isFileSystemHandle(item));
+      const entries = additions.filter((item) => !isFileSystemHandle(item));
+      if (!entries.every((entry) => isTransientEntry(entry))) {
+        return { ok: false, reason: 'incompatible-selection' };
+      }
+      if (entries.length && !transientParts.getSession(key)) {
+        return { ok: false, reason: 'transient-expired' };
+      }
 
-  let counts;
-  try {
-    counts = await summarizeHandles(record.handles);
-  } catch (error) {
-    return { ok: false, reason: 'traversal-error', error };
-  }
+      const native = handles.length
+        ? await nativeHandles.appendHandles(key, handles, options)
+        : null;
+      if (native && !native.ok) {
+        return native;
+      }
+      const transient = entries.length
+        ? await transientParts.appendEntries(key, entries, options)
+        : null;
+      if (transient && !transient.ok) {
+        return transient;
+      }
+      if (transient) {
+        await writeTransientPartVersions(key);
+      }
+      return finishCompositeEdit(key, native, transient, {
+        added: (native?.added ?? 0) + (transient?.added ?? 0),
+        collapsed: native?.collapsed ?? []
+      });
+    },
+    // Neither part may be emptied: a composite key always keeps both kinds.
+    async removeItems(key, matches, options = {}) {
+      const session = transientParts.getSession(key);
+      if (
+        session &&
+        session.entries.every((entry) => matches(entry, deriveTransientRelativePath(entry)))
+      ) {
+        return { ok: false, reason: 'empty-selection' };
+      }
 
-  const partial = hasMissingEntries(counts, record);
-  return {
-    ok: true,
-    counts,
-    partial,
-    reason: partial ? 'entries-missing' : undefined,
-    record
+      const native = await nativeHandles.removeHandles(key, matches, options);
+      if (!native.ok) {
+        return native;
+      }
+      const transient = session ? transientParts.removeEntries(key, matches, options) : null;
+      if (transient && !transient.ok) {
+        return transient;
+      }
+      if (transient?.removed) {
+        await manifests.updateEntries(key, {
+          drop: session.entries
+            .filter((entry) => matches(entry, deriveTransientRelativePath(entry)))
+            .map((entry) => deriveTransientRelativePath(entry))
+        });
+      }
+      return finishCompositeEdit(key, native, transient, {
+        removed: native.removed + (transient?.removed ?? 0)
+      });
+    },
+    // Composite manifests cover both parts and outlive the transient one.
+    saveManifest: (key, entries) => manifests.saveManifest(key, entries),
+    getManifest: (key) => manifests.getManifest(key),
+    async readFile(key, relativePath) {
+      const native = await resolveNativeReadableFile(key, relativePath);
+      if (native.ok || native.reason !== 'file-not-found') {
+        return native;
+      }
+      return resolveTransientReadableFile(key, relativePath, transientParts);
+    },
+    async update(key, patch) {
+      const result = await nativeHandles.update(key, patch);
+      transientParts.update(key, patch);
+      return result.ok ? { ...result, storageType: COMPOSITE_STORAGE_TYPE } : result;
+    },
+    describe: (record) => ({
+      parts: {
+        native: { exists: true },
+        transient: record.transient
+          ? { exists: true, expires: { ...record.transient.expires } }
+          : { exists: false, reason: 'transient-expired' }
+      }
+    })
   };
-};
-
-const summarizeTransientSession = (session) => ({
-  counts: summarizeTransientEntries(session.entries),
-  expires: { ...session.expires },
-  createdAt: session.createdAt,
-  updatedAt: session.updatedAt
-});
 
-const fileStorageModule = {
-  registry,
-  nativeHandles,
-  transientSessions,
-  async init() {
-    await Promise.all([registry.ensureDb(), nativeHandles.ensureDb()]);
-    return registry;
-  },
-  async add(selection, metadata = {}) {
-    const normalized = normalizeSelectionInput(selection);
-    if (!normalized.length) {
-      return { ok: false, reason: 'no-selection' };
-    }
+  registerBackendEntry(TRANSIENT_STORAGE_TYPE, transientSessionAdapter, {
+    canHandle: () => true
+  });
+  registerBackendEntry(COMPOSITE_STORAGE_TYPE, compositeAdapter, {
+    canHandle: isMixedSelection
+  });
+  registerBackendEntry(NATIVE_HANDLE_STORAGE_TYPE, nativeHandleAdapter, {
+    canHandle: isPureNativeSelection
+  });
 
-    try {
-      if (isPureNativeSelection(normalized)) {
-        return await nativeHandles.persistHandles(normalized, metadata);
+  const api = {
+    registry,
+    nativeHandles,
+    transientSessions,
+    manifests,
+    hashCache,
+    transferState,
+    metaStore,
+    async init() {
+      await Promise.all([
+        registry.ensureDb(),
+        nativeHandles.ensureDb(),
+        manifests.ensureDb(),
+        hashCache.ensureDb(),
+        transferState.ensureDb(),
+        metaStore.ensureDb()
+      ]);
+      // Detection is advisory; a failure must never block access to the registry.
+      await evictionMonitor.check().catch(() => null);
+      return registry;
+    },
+    async verifyIntegrity(options = {}) {
+      try {
+        return await inspectIntegrity(options);
+      } catch (error) {
+        if (isAbortError(error)) {
+          return { ok: false, reason: 'aborted' };
+        }
+        return { ok: false, reason: 'storage-failure', error };
       }
-      return transientSessions.persistEntries(normalized, metadata);
-    } catch (error) {
-      return { ok: false, reason: 'storage-failure', error };
-    }
-  },
-  async listKeys(options = {}) {
-    const registryKeys = await registry.listKeys();
-    if (options.includeTransient === false) {
-      return registryKeys;
-    }
-    const transientKeys = transientSessions.listKeys();
-    return mergeUniqueKeys(registryKeys, transientKeys);
-  },
-  async getStorageType(key) {
-    const lookup = await resolveStorageLookup(key);
-    if (!lookup.ok) {
-      return lookup;
-    }
-    return {
-      ok: true,
-      key,
-      storageType: lookup.storageType,
-      source: lookup.source
-    };
-  },
-  async exists(key, options = {}) {
-    const lookup = await resolveStorageLookup(key);
-    if (!lookup.ok) {
-      if (lookup.reason === 'transient-expired') {
+    },
+    async repair(options = {}) {
+      const dryRun = options.dryRun === true;
+      try {
+        const report = await inspectIntegrity(options);
+        const actions = report.issues.map((issue) => ({
+          type: issue.type,
+          key: issue.key,
+          action: planRepairAction(issue, options)
+        }));
+        const planned = actions.filter((action) => action.action);
+        if (!dryRun) {
+          for (const [index, issue] of report.issues.entries()) {
+            await applyRepairAction(actions[index].action, issue);
+          }
+        }
         return {
           ok: true,
-          exists: false,
-          storageType: lookup.storageType,
-          reason: lookup.reason
+          dryRun,
+          issues: report.issues,
+          actions,
+          repaired: dryRun ? 0 : planned.length
         };
+      } catch (error) {
+        if (isAbortError(error)) {
+          return { ok: false, reason: 'aborted' };
+        }
+        return { ok: false, reason: 'storage-failure', error };
+      }
+    },
+    async getStorageHealth() {
+      const storage = globalThis.navigator?.storage;
+      const [estimate, persisted, eviction] = await Promise.all([
+        typeof storage?.estimate === 'function' ? storage.estimate().catch(() => null) : null,
+        typeof storage?.persisted === 'function' ? storage.persisted().catch(() => null) : null,
+        evictionMonitor.check().catch(() => null)
+      ]);
+      const usage = estimate?.usage ?? null;
+      const quota = estimate?.quota ?? null;
+      return {
+        ok: true,
+        supported: Boolean(estimate),
+        usage,
+        quota,
+        available: usage !== null && quota !== null ? Math.max(quota - usage, 0) : null,
+        usageRatio: usage !== null && quota ? usage / quota : null,
+        persisted: typeof persisted === 'boolean' ? persisted : null,
+        eviction
+      };
+    },
+    async requestPersistentStorage() {
+      const storage = globalThis.navigator?.storage;
+      if (typeof storage?.persist !== 'function') {
+        return { ok: false, reason: 'unsupported' };
+      }
+      try {
+        const persisted = Boolean(await storage.persist());
+        return { ok: true, persisted };
+      } catch (error) {
+        return { ok: false, reason: 'storage-failure', error };
+      }
+    },
+    async add(selection, metadata = {}, options = {}) {
+      const normalized = normalizeSelectionInput(selection);
+      if (!normalized.length) {
+        return { ok: false, reason: 'no-selection' };
+      }
+      if (!isValidUserMetadata(metadata)) {
+        return { ok: false, reason: 'invalid-metadata' };
+      }
+      if (!isValidSelectionFilters(options.filters)) {
+        return { ok: false, reason: 'invalid-filters' };
       }
-      return { ok: true, exists: false, reason: lookup.reason };
-    }
 
-    if (lookup.storageType === NATIVE_HANDLE_STORAGE_TYPE) {
-      const record = await nativeHandles.getRecord(key);
-      if (!record) {
-        return { ok: true, exists: false, reason: 'unknown-key' };
+      let result;
+      try {
+        const entry = selectBackend(normalized);
+        if (!entry) {
+          return { ok: false, reason: 'unsupported-storage' };
+        }
+        result = await entry.backend.persist(normalized, metadata, options);
+      } catch (error) {
+        return { ok: false, reason: 'storage-failure', error };
+      }
+
+      if (result.ok) {
+        forgetManifestIndex(result.key);
       }
-      if (options.verifyPermissions) {
-        const response = await nativeHandles.requestPermissions(key, {
-          mode: options.mode ?? 'read'
+      if (result.ok && options.manifest) {
+        result.manifest = await captureSelectionManifest(result.key, result.storageType, {
+          signal: options.signal
         });
-        if (!response.ok) {
-          const reason =
-            response.state === 'missing' ? 'unknown-key' : 'permission-denied';
-          return { ok: true, exists: false, reason, state: response.state };
+      }
+      return announceChange(
+        'added',
+        { key: result.key, storageType: result.storageType, tabId: metadata.tabId },
+        result
+      );
+    },
+    // Call from inside the `drop` handler: the items are collected before the
+    // first await. Items with a handle persist; the rest fall back to entries.
+    async addFromDataTransfer(dataTransfer, metadata = {}, options = {}) {
+      const collected = collectDataTransferItems(dataTransfer);
+      const handles = await Promise.all(collected.map(({ handle }) => handle));
+      const selection = collected
+        .map(({ fallback }, index) =>
+          isFileSystemHandle(handles[index]) ? handles[index] : fallback
+        )
+        .filter(Boolean);
+      return api.add(selection, metadata, options);
+    },
+    on(type, handler) {
+      return storageEvents.on(type, handler);
+    },
+    registerBackend(storageType, backend, options = {}) {
+      return registerBackendEntry(storageType, backend, options);
+    },
+    async listKeys(options = {}) {
+      const registryKeys =
+        options.includeExpired === false
+          ? (await registry.listRecords())
+              .filter((record) => !isTransientRow(record))
+              .map((record) => record.key)
+          : await registry.listKeys();
+      if (options.includeTransient === false) {
+        return registryKeys;
+      }
+      const transientKeys = transientSessions.listKeys();
+      return mergeUniqueKeys(registryKeys, transientKeys);
+    },
+    async listRecords(query = {}) {
+      if (!isValidRecordQuery(query)) {
+        return { ok: false, reason: 'invalid-query' };
+      }
+      const plan = planRecordQuery(query);
+      const after = query.cursor == null ? null : decodeRecordCursor(plan, query.cursor);
+      if (query.cursor != null && !after) {
+        return { ok: false, reason: 'invalid-cursor' };
+      }
+
+      const limit = query.limit ?? DEFAULT_RECORD_PAGE_SIZE;
+      const descending = plan.order === 'desc';
+      const positionOf = (record) => ({ indexKey: plan.keyOf(record), key: record.key });
+      // Live sessions come from memory below, not from their registry rows.
+      const liveKeys = new Set(transientSessions.listKeys());
+      const persisted = await registry.queryRecords(
+        { ...plan, matches: (record) => plan.matches(record) && !liveKeys.has(record.key) },
+        { after, limit }
+      );
+      const live =
+        query.includeTransient === false
+          ? []
+          : listLiveTransientRecords().filter(
+              (record) =>
+                plan.matches(record) &&
+                (!after || isAfterPosition(plan.keyOf(record), record.key, after, descending))
+            );
+      const merged = [...persisted.records, ...live].sort((left, right) => {
+        const comparison = comparePosition(plan.keyOf(left), left.key, positionOf(right));
+        return descending ? -comparison : comparison;
+      });
+      const page = merged.slice(0, limit);
+      const hasMore = persisted.hasMore || merged.length > limit;
+
+      return {
+        ok: true,
+        records: page.map(toRecordSummary),
+        cursor: hasMore ? encodeRecordCursor(plan, positionOf(page[page.length - 1])) : null
+      };
+    },
+    async getStorageType(key) {
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return lookup;
+      }
+      return {
+        ok: true,
+        key,
+        storageType: lookup.storageType,
+        source: lookup.source
+      };
+    },
+    async exists(key, options = {}) {
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        if (lookup.reason === 'transient-expired') {
+          return {
+            ok: true,
+            exists: false,
+            storageType: lookup.storageType,
+            reason: lookup.reason,
+            expired: describeExpiration(lookup.status)
+          };
         }
+        return { ok: true, exists: false, reason: lookup.reason };
       }
-      return { ok: true, exists: true, storageType: lookup.storageType };
-    }
 
-    if (lookup.storageType === TRANSIENT_STORAGE_TYPE) {
-      const session = lookup.session ?? transientSessions.getSession(key);
-      if (!session) {
+      const { storageType } = lookup;
+      const backend = getBackend(storageType);
+      if (!backend) {
+        return { ok: false, exists: false, reason: 'unsupported-storage' };
+      }
+      const record = lookup.session ?? (await backend.getRecord(key));
+      if (!record) {
         return {
           ok: true,
           exists: false,
-          storageType: lookup.storageType,
-          reason: 'transient-expired'
+          storageType,
+          reason: backend.missingReason ?? 'unknown-key'
         };
       }
+      if (options.verifyPermissions && typeof backend.queryPermissions === 'function') {
+        const response = await backend.queryPermissions(key, { mode: options.mode ?? 'read' });
+        notePermissionState(key, response.state === 'missing' ? null : response.state, storageType);
+        if (!response.ok) {
+          const reason = response.state === 'missing' ? 'unknown-key' : 'permission-denied';
+          return { ok: true, exists: false, reason, state: response.state };
+        }
+      }
       return {
         ok: true,
         exists: true,
-        storageType: lookup.storageType,
-        expires: { ...session.expires }
+        storageType,
+        ...(typeof backend.describe === 'function' ? backend.describe(record) : {})
       };
-    }
+    },
+    async getFileCount(key, options = {}) {
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return {
+          ok: false,
+          reason: lookup.reason,
+          storageType: lookup.storageType
+        };
+      }
 
-    return { ok: false, exists: false, reason: 'unsupported-storage' };
-  },
-  async getFileCount(key) {
-    const lookup = await resolveStorageLookup(key);
-    if (!lookup.ok) {
+      const { storageType } = lookup;
+      const backend = getBackend(storageType);
+      if (!backend) {
+        return { ok: false, reason: 'unsupported-storage', storageType };
+      }
+      const count = await backend.count(key, options);
+      if (!count.ok) {
+        return { ok: false, reason: count.reason, storageType, error: count.error };
+      }
       return {
-        ok: false,
-        reason: lookup.reason,
-        storageType: lookup.storageType
+        ok: true,
+        key,
+        storageType,
+        counts: count.counts,
+        ...(count.content ? { content: count.content } : {}),
+        partial: Boolean(count.partial),
+        reason: count.partial ? count.reason : undefined,
+        ...(count.parts ? { parts: count.parts } : {}),
+        ...(count.expires ? { expires: count.expires } : {})
       };
-    }
+    },
+    async remove(key) {
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        if (lookup.reason === 'transient-expired') {
+          await transientSessions.remove(key);
+          await registry.removeKey(key);
+          return announceChange(
+            'removed',
+            { key, storageType: lookup.storageType },
+            { ok: true, key, reason: lookup.reason }
+          );
+        }
+        return { ok: false, reason: lookup.reason };
+      }
 
-    if (lookup.storageType === NATIVE_HANDLE_STORAGE_TYPE) {
-      const recount = await recountNativeHandles(key);
-      if (!recount.ok) {
-        return {
-          ok: false,
-          reason: recount.reason,
-          storageType: lookup.storageType,
-          error: recount.error
-        };
+      const change = { key, storageType: lookup.storageType };
+      const backend = getBackend(lookup.storageType);
+      if (!backend) {
+        return { ok: false, reason: 'unsupported-storage' };
+      }
+      const result = await backend.remove(key);
+      if (backend.persistent) {
+        await removeDerivedData(key);
+        permissionStates.delete(key);
+      }
+      if (!result.ok) {
+        return { ok: false, reason: result.reason };
+      }
+      return announceChange('removed', change, result);
+    },
+    async requestPermissions(key, options) {
+      return checkSelectionPermissions(key, options, 'requestPermissions');
+    },
+    async queryPermissions(key, options) {
+      return checkSelectionPermissions(key, options, 'queryPermissions');
+    },
+    // Meant for one "Resume all" click: keys that are already granted are not
+    // asked again, so the browser only prompts for the rest.
+    async restorePermissions(keys, options = {}) {
+      const targets =
+        keys == null
+          ? (await registry.listRecords())
+              .filter(
+                (record) =>
+                  !isTransientRow(record) &&
+                  typeof getBackend(record.storageType)?.requestPermissions === 'function'
+              )
+              .map((record) => record.key)
+          : [keys].flat();
+      const results = [];
+      for (const key of targets) {
+        const queried = await checkSelectionPermissions(key, options, 'queryPermissions');
+        const result = queried.ok
+          ? queried
+          : await checkSelectionPermissions(key, options, 'requestPermissions');
+        results.push({ ...result, key });
+      }
+      return {
+        ok: results.every((result) => result.ok),
+        mode: options.mode ?? 'read',
+        results: results.map(({ key, ok, state, reason }) => ({
+          key,
+          ok,
+          state: state ?? null,
+          ...(reason ? { reason } : {})
+        }))
+      };
+    },
+    async appendToSelection(key, selection, options = {}) {
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return { ok: false, reason: lookup.reason, storageType: lookup.storageType };
+      }
+      const backend = getBackend(lookup.storageType);
+      if (typeof backend?.append !== 'function') {
+        return { ok: false, reason: 'unsupported-storage', storageType: lookup.storageType };
+      }
+      const change = { key, storageType: lookup.storageType, change: 'selection' };
+      try {
+        const result = await backend.append(key, selection, options);
+        forgetManifestIndex(key);
+        return announceChange('updated', change, result);
+      } catch (error) {
+        return { ok: false, reason: 'storage-failure', error };
+      }
+    },
+    async removeFromSelection(key, predicateOrPaths, options = {}) {
+      const matches = createSelectionMatcher(predicateOrPaths);
+      if (!matches) {
+        return { ok: false, reason: 'no-selection' };
+      }
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return { ok: false, reason: lookup.reason, storageType: lookup.storageType };
       }
+      const backend = getBackend(lookup.storageType);
+      if (typeof backend?.removeItems !== 'function') {
+        return { ok: false, reason: 'unsupported-storage', storageType: lookup.storageType };
+      }
+      const change = { key, storageType: lookup.storageType, change: 'selection' };
+      try {
+        const result = await backend.removeItems(key, matches, options);
+        return result.removed ? announceChange('updated', change, result) : result;
+      } catch (error) {
+        return { ok: false, reason: 'storage-failure', error };
+      }
+    },
+    async getMetadata(key) {
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return { ok: false, reason: lookup.reason, storageType: lookup.storageType };
+      }
+      const source = lookup.session ?? lookup.record;
       return {
         ok: true,
         key,
         storageType: lookup.storageType,
-        counts: recount.counts,
-        partial: recount.partial,
-        reason: recount.partial ? recount.reason : undefined
+        metadata: lookup.session ? { ...lookup.session.metadata } : pickUserMetadata(source),
+        createdAt: source.createdAt,
+        updatedAt: source.updatedAt
       };
-    }
+    },
+    async update(key, patch = {}) {
+      if (!isPlainObject(patch) || !isValidUserMetadata(patch)) {
+        return { ok: false, reason: 'invalid-metadata' };
+      }
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return { ok: false, reason: lookup.reason, storageType: lookup.storageType };
+      }
+      const backend = getBackend(lookup.storageType);
+      if (typeof backend?.update !== 'function') {
+        return { ok: false, reason: 'unsupported-storage', storageType: lookup.storageType };
+      }
+      const change = { key, storageType: lookup.storageType, change: 'metadata' };
+      return announceChange('updated', change, await backend.update(key, patch));
+    },
+    // Call once the peer acknowledged `[start, end)` of a file. `size` and
+    // `lastModified` identify the file version; a changed file starts over.
+    async markTransferred(key, peerId, relativePath, range = {}) {
+      const target = await resolveTransferTarget(key, peerId, relativePath ?? '');
+      if (!target.ok) {
+        return target;
+      }
+      if (!isValidByteRange(range)) {
+        return { ok: false, reason: 'invalid-range' };
+      }
+      const { start, end, size, lastModified } = range;
+      return toTransferStatus(
+        await transferState.markRange({ ...target, start, end, size, lastModified })
+      );
+    },
+    async recordTransferError(key, peerId, relativePath, error) {
+      const target = await resolveTransferTarget(key, peerId, relativePath ?? '');
+      if (!target.ok) {
+        return target;
+      }
+      return toTransferStatus(await transferState.recordError({ ...target, error }));
+    },
+    async getTransferProgress(key, peerId, options = {}) {
+      const target = await resolveTransferTarget(key, peerId);
+      if (!target.ok) {
+        return target;
+      }
+      const records = await transferState.listStates(key, peerId);
+      const live = await collectFileEntries(key, options);
+      if (!live.ok) {
+        return live;
+      }
 
-    if (lookup.storageType === TRANSIENT_STORAGE_TYPE) {
-      const session = lookup.session ?? transientSessions.getSession(key);
-      if (!session) {
+      const statesByPath = new Map(records.map((record) => [record.path, record]));
+      const totals = { files: 0, completeFiles: 0, bytes: 0, acknowledgedBytes: 0 };
+      const outstanding = [];
+      for (const entry of live.entries) {
+        const size = entry.size ?? 0;
+        const record = statesByPath.get(entry.relativePath);
+        const current =
+          record &&
+          isSameFileVersion(record, {
+            size: entry.size ?? undefined,
+            lastModified: entry.lastModified ?? undefined
+          })
+            ? record
+            : null;
+        const ranges = current?.ranges ?? [];
+        const missing = findOutstandingRanges(ranges, size);
+        const acknowledged = size - countCoveredBytes(missing);
+        // An empty file has no bytes to acknowledge, only a completion flag.
+        const complete = size > 0 ? missing.length === 0 : Boolean(current?.complete);
+        totals.files += 1;
+        totals.bytes += size;
+        totals.acknowledgedBytes += acknowledged;
+        if (complete) {
+          totals.completeFiles += 1;
+          continue;
+        }
+        outstanding.push({
+          relativePath: entry.relativePath,
+          size,
+          acknowledged,
+          resumeOffset: readResumeOffset(ranges),
+          missing,
+          lastError: current?.lastError ?? record?.lastError ?? null,
+          stale: Boolean(record && !current)
+        });
+      }
+      return { ok: true, key, peerId, complete: !outstanding.length, totals, outstanding };
+    },
+    async resetTransfer(key, peerId, relativePath) {
+      if (!key) {
+        return { ok: false, reason: 'missing-key' };
+      }
+      if (relativePath !== undefined && (typeof peerId !== 'string' || !peerId)) {
+        return { ok: false, reason: 'missing-peer-id' };
+      }
+      const path =
+        relativePath === undefined ? undefined : splitRelativePath(relativePath).join('/');
+      const removed = await transferState.reset(key, peerId, path);
+      return { ok: true, key, removed };
+    },
+    async pruneExpired(options = {}) {
+      const maxAge = options.maxAge ?? DEFAULT_TOMBSTONE_MAX_AGE_MS;
+      const olderThan = options.olderThan ?? now() - maxAge;
+      const removedTombstones = await registry.pruneTombstones({
+        olderThan,
+        keep: transientSessions.listKeys()
+      });
+      const removedSessions = transientSessions.pruneExpired({ olderThan });
+      const removed = mergeUniqueKeys(removedTombstones, removedSessions);
+      removed.forEach((key) =>
+        notifyChange('removed', { key, storageType: TRANSIENT_STORAGE_TYPE })
+      );
+      return { ok: true, removed };
+    },
+    async openFileStream(key, relativePath, options = {}) {
+      const readOptions = validateReadOptions(options);
+      if (!readOptions.ok) {
+        return readOptions;
+      }
+
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
         return {
           ok: false,
-          reason: 'transient-expired',
+          reason: lookup.reason,
           storageType: lookup.storageType
         };
       }
-      const summary = summarizeTransientSession(session);
+
+      const path = splitRelativePath(relativePath).join('/');
+      const resolved = await resolveCheckedFile(lookup, path, undefined, {
+        acceptChanges: options.acceptChanges
+      });
+      if (!resolved.ok) {
+        return { ...resolved, storageType: lookup.storageType };
+      }
+
+      const { file } = resolved;
+      if (readOptions.offset > file.size) {
+        return { ok: false, reason: 'invalid-offset', storageType: lookup.storageType };
+      }
+
       return {
         ok: true,
         key,
         storageType: lookup.storageType,
-        counts: summary.counts,
-        partial: false,
-        expires: summary.expires
+        relativePath: path,
+        size: file.size,
+        lastModified: file.lastModified,
+        type: file.type ?? '',
+        offset: readOptions.offset,
+        chunkSize: readOptions.chunkSize,
+        stream: createChunkedFileStream(file, {
+          ...readOptions,
+          mapError: (error) => toReadFailureError(lookup, path, resolved, error)
+        })
       };
-    }
+    },
+    enumerate(key, options = {}) {
+      return enumerateSelection(key, options);
+    },
+    async captureManifest(key, options = {}) {
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return { ok: false, reason: lookup.reason, storageType: lookup.storageType };
+      }
+      const change = { key, storageType: lookup.storageType, change: 'manifest' };
+      return announceChange(
+        'updated',
+        change,
+        await captureSelectionManifest(key, lookup.storageType, options)
+      );
+    },
+    async hash(key, options = {}) {
+      const readOptions = validateReadOptions({ chunkSize: options.chunkSize });
+      if (!readOptions.ok) {
+        return readOptions;
+      }
 
-    return { ok: false, reason: 'unsupported-storage' };
-  },
-  async remove(key) {
-    const lookup = await resolveStorageLookup(key);
-    if (!lookup.ok) {
-      if (lookup.reason === 'transient-expired') {
-        transientSessions.remove(key);
-        return { ok: true, key, reason: lookup.reason };
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return { ok: false, reason: lookup.reason, storageType: lookup.storageType };
       }
-      return { ok: false, reason: lookup.reason };
-    }
 
-    if (lookup.storageType === NATIVE_HANDLE_STORAGE_TYPE) {
-      return nativeHandles.remove(key);
-    }
-    if (lookup.storageType === TRANSIENT_STORAGE_TYPE) {
-      const result = transientSessions.remove(key);
-      if (!result.ok) {
-        return { ok: false, reason: result.reason };
+      const result = await hashSelection(key, lookup, {
+        chunkSize: readOptions.chunkSize,
+        signal: options.signal,
+        onProgress: options.onProgress
+      });
+      return result.ok ? result : { ...result, storageType: lookup.storageType };
+    },
+    async diff(key, options = {}) {
+      const lookup = await resolveStorageLookup(key);
+      if (!lookup.ok) {
+        return { ok: false, reason: lookup.reason, storageType: lookup.storageType };
       }
-      return result;
-    }
-    return { ok: false, reason: 'unsupported-storage' };
-  },
-  async requestPermissions(key, options) {
-    const lookup = await resolveStorageLookup(key);
-    if (!lookup.ok) {
-      return {
-        ok: false,
-        reason: lookup.reason,
-        storageType: lookup.storageType
-      };
-    }
-    if (lookup.storageType !== NATIVE_HANDLE_STORAGE_TYPE) {
+
+      const manifest = await loadManifest(lookup);
+      if (!manifest) {
+        return { ok: false, reason: 'missing-manifest', storageType: lookup.storageType };
+      }
+
+      const live = await collectFileEntries(key, options);
+      if (!live.ok) {
+        return { ...live, storageType: lookup.storageType };
+      }
+
+      const changes = diffManifestEntries(manifest.entries, live.entries);
       return {
-        ok: false,
-        reason: 'unsupported-storage',
-        storageType: lookup.storageType
+        ok: true,
+        key,
+        storageType: lookup.storageType,
+        capturedAt: manifest.capturedAt,
+        changed: Boolean(
+          changes.added.length || changes.removed.length || changes.modified.length
+        ),
+        ...changes
       };
     }
-    return nativeHandles.requestPermissions(key, options);
-  }
+  };
+
+  return api;
 };
 
+const fileStorageModule = createFileStorageModule();
+
 export default fileStorageModule;
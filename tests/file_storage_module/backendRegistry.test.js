@@ -0,0 +1,220 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import { createFakeFileHandle } from './helpers/fakeHandles.js';
+
+const createStagedFile = (name, content = 'staged') => ({
+  name,
+  content,
+  size: content.length,
+  staged: true
+});
+
+const isStagedSelection = (items) => items.every((item) => item.staged === true);
+
+// In-memory stand-in for an OPFS staging or server-side backend.
+const createMemoryBackend = ({ storageType, persistent = false }) => {
+  const records = new Map();
+  let counter = 0;
+  const countItems = (items) => ({
+    files: items.length,
+    directories: 0,
+    handles: items.length,
+    filtered: 0
+  });
+  return {
+    records,
+    persistent,
+    async persist(items, metadata) {
+      counter += 1;
+      const registered = persistent
+        ? await fileStorageModule.registry.registerKey(undefined, { storageType, ...metadata })
+        : null;
+      const key = registered?.key ?? `mem-${counter}`;
+      records.set(key, { key, items, metadata, createdAt: counter, updatedAt: counter });
+      return { ok: true, key, storageType, counts: countItems(items) };
+    },
+    getRecord: async (key) => records.get(key) ?? null,
+    async count(key) {
+      const record = records.get(key);
+      return record
+        ? { ok: true, counts: countItems(record.items) }
+        : { ok: false, reason: 'unknown-key' };
+    },
+    async *enumerate(key) {
+      for (const item of records.get(key)?.items ?? []) {
+        yield { relativePath: item.name, kind: 'file', size: item.size, lastModified: 0, type: '' };
+      }
+    },
+    async remove(key) {
+      records.delete(key);
+      if (persistent) {
+        await fileStorageModule.registry.removeKey(key);
+      }
+      return { ok: true, key };
+    },
+    async readFile(key, relativePath) {
+      const item = records.get(key)?.items.find((candidate) => candidate.name === relativePath);
+      return item
+        ? { ok: true, file: new File([item.content], item.name, { lastModified: 0 }) }
+        : { ok: false, reason: 'file-not-found' };
+    }
+  };
+};
+
+const readStream = async (stream) => new Response(stream).text();
+
+const unregisters = [];
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  await fileStorageModule.repair();
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.remove(key);
+  }
+});
+
+afterEach(() => {
+  unregisters.splice(0).reverse().forEach((unregister) => unregister());
+});
+
+describe('fileStorageModule.registerBackend', () => {
+  it('routes add, reads and removal through a registered backend', async () => {
+    const backend = createMemoryBackend({ storageType: 'opfs-staging' });
+    unregisters.push(
+      fileStorageModule.registerBackend('opfs-staging', backend, { canHandle: isStagedSelection })
+    );
+
+    const added = await fileStorageModule.add([
+      createStagedFile('a.txt', 'alpha'),
+      createStagedFile('b.txt')
+    ]);
+    expect(added).toMatchObject({ ok: true, storageType: 'opfs-staging' });
+
+    await expect(fileStorageModule.exists(added.key)).resolves.toEqual({
+      ok: true,
+      exists: true,
+      storageType: 'opfs-staging'
+    });
+    await expect(fileStorageModule.getFileCount(added.key)).resolves.toMatchObject({
+      ok: true,
+      counts: { files: 2 },
+      partial: false
+    });
+    const paths = [];
+    for await (const entry of fileStorageModule.enumerate(added.key)) {
+      paths.push(entry.relativePath);
+    }
+    expect(paths).toEqual(['a.txt', 'b.txt']);
+
+    const opened = await fileStorageModule.openFileStream(added.key, 'a.txt');
+    expect(await readStream(opened.stream)).toBe('alpha');
+    await expect(fileStorageModule.requestPermissions(added.key)).resolves.toMatchObject({
+      ok: false,
+      reason: 'unsupported-storage'
+    });
+    await expect(fileStorageModule.update(added.key, { label: 'x' })).resolves.toMatchObject({
+      ok: false,
+      reason: 'unsupported-storage'
+    });
+
+    await expect(fileStorageModule.remove(added.key)).resolves.toMatchObject({ ok: true });
+    expect(backend.records.size).toBe(0);
+    await expect(fileStorageModule.exists(added.key)).resolves.toMatchObject({
+      exists: false,
+      reason: 'unknown-key'
+    });
+  });
+
+  it('asks the latest registration first and falls back once it is removed', async () => {
+    const claimAll = createMemoryBackend({ storageType: 'test-double' });
+    const unregister = fileStorageModule.registerBackend('test-double', claimAll, {
+      canHandle: () => true
+    });
+    unregisters.push(unregister);
+
+    const captured = await fileStorageModule.add([createFakeFileHandle({ name: 'x.bin' })]);
+    expect(captured.storageType).toBe('test-double');
+
+    unregister();
+    const native = await fileStorageModule.add([createFakeFileHandle({ name: 'x.bin' })]);
+    expect(native.storageType).toBe('native-handle');
+    const transient = await fileStorageModule.add([createStagedFile('loose.txt')]);
+    expect(transient.storageType).toBe('transient-session');
+  });
+
+  it('shares registry, manifests and integrity checks with persistent backends', async () => {
+    const backend = createMemoryBackend({ storageType: 'server', persistent: true });
+    const unregister = fileStorageModule.registerBackend('server', backend, {
+      canHandle: isStagedSelection
+    });
+    unregisters.push(unregister);
+
+    const added = await fileStorageModule.add([createStagedFile('remote.bin')], {
+      label: 'Remote copy'
+    });
+    expect(await fileStorageModule.listKeys({ includeTransient: false })).toContain(added.key);
+    await expect(fileStorageModule.getMetadata(added.key)).resolves.toMatchObject({
+      storageType: 'server',
+      metadata: { label: 'Remote copy' }
+    });
+    await expect(fileStorageModule.captureManifest(added.key)).resolves.toMatchObject({
+      ok: true,
+      entries: 1
+    });
+    expect(await fileStorageModule.manifests.getManifest(added.key)).toBeTruthy();
+    await expect(fileStorageModule.verifyIntegrity()).resolves.toMatchObject({ healthy: true });
+
+    unregister();
+    await expect(fileStorageModule.getFileCount(added.key)).resolves.toMatchObject({
+      ok: false,
+      reason: 'unsupported-storage'
+    });
+    const report = await fileStorageModule.verifyIntegrity();
+    expect(report.issues).toContainEqual(
+      expect.objectContaining({ type: 'unknown-storage-type', key: added.key })
+    );
+    const repaired = await fileStorageModule.repair();
+    expect(repaired.actions).toContainEqual({
+      type: 'unknown-storage-type',
+      key: added.key,
+      action: null
+    });
+    expect(await fileStorageModule.registry.getRecord(added.key)).toBeTruthy();
+    const pruning = await fileStorageModule.repair({ dryRun: true, pruneUnknown: true });
+    expect(pruning.actions).toContainEqual({
+      type: 'unknown-storage-type',
+      key: added.key,
+      action: 'remove-registry-record'
+    });
+
+    unregisters.push(fileStorageModule.registerBackend('server', backend));
+    await fileStorageModule.remove(added.key);
+    expect(await fileStorageModule.manifests.getManifest(added.key)).toBeFalsy();
+  });
+
+  it('rejects incomplete backends and restores replaced ones', async () => {
+    expect(() => fileStorageModule.registerBackend('broken', { persist() {} })).toThrow(
+      'missing getRecord, count, enumerate, remove'
+    );
+    expect(() =>
+      fileStorageModule.registerBackend('', createMemoryBackend({ storageType: '' }))
+    ).toThrow('storageType');
+
+    const replacement = createMemoryBackend({ storageType: 'transient-session' });
+    const restore = fileStorageModule.registerBackend('transient-session', replacement, {
+      canHandle: isStagedSelection
+    });
+    unregisters.push(restore);
+    await fileStorageModule.add([createStagedFile('a.txt')]);
+    expect(replacement.records.size).toBe(1);
+
+    restore();
+    const native = await fileStorageModule.add([createFakeFileHandle({ name: 'x.bin' })]);
+    expect(native.storageType).toBe('native-handle');
+    const added = await fileStorageModule.add([createStagedFile('b.txt')]);
+    expect(replacement.records.size).toBe(1);
+    expect(fileStorageModule.transientSessions.getSession(added.key)).toBeTruthy();
+  });
+});
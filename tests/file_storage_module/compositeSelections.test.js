@@ -0,0 +1,192 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createFakeDirectoryHandle, createFakeFileHandle } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+import { openPage, uniqueDbName } from './helpers/pages.js';
+
+useLiveHandles();
+
+const photosTree = {
+  kind: 'directory',
+  name: 'photos',
+  children: [
+    { kind: 'file', name: 'a.jpg', size: 4 },
+    { kind: 'file', name: 'b.jpg', size: 4 }
+  ]
+};
+
+const collectPaths = async (iterable) => {
+  const paths = [];
+  for await (const entry of iterable) {
+    paths.push(entry.relativePath);
+  }
+  return paths.sort();
+};
+
+const nativeCounts = { files: 2, directories: 1, handles: 1, filtered: 0 };
+const transientCounts = { files: 1, directories: 0, handles: 1, filtered: 0 };
+
+describe('composite selections', () => {
+  it('splits mixed input into a native and a transient part under one key', async () => {
+    const { instance } = openPage(uniqueDbName('composite'));
+
+    const added = await instance.add(
+      [createFakeDirectoryHandle(photosTree), new File(['loose'], 'loose.txt')],
+      { label: 'Mixed' }
+    );
+    expect(added).toMatchObject({
+      ok: true,
+      storageType: 'composite',
+      counts: { files: 3, directories: 1, handles: 2, filtered: 0 },
+      parts: {
+        native: { storageType: 'native-handle', counts: nativeCounts },
+        transient: { storageType: 'transient-session', counts: transientCounts }
+      }
+    });
+    expect(await instance.listKeys()).toEqual([added.key]);
+
+    await expect(instance.getFileCount(added.key)).resolves.toMatchObject({
+      storageType: 'composite',
+      counts: added.counts,
+      partial: false,
+      parts: { native: { ok: true }, transient: { ok: true } }
+    });
+    expect(await collectPaths(instance.enumerate(added.key))).toEqual([
+      'loose.txt',
+      'photos',
+      'photos/a.jpg',
+      'photos/b.jpg'
+    ]);
+    await expect(instance.diff(added.key)).resolves.toMatchObject({
+      ok: true,
+      changed: false,
+      unchanged: 3
+    });
+    const opened = await instance.openFileStream(added.key, 'loose.txt');
+    expect(await new Response(opened.stream).text()).toBe('loose');
+    await expect(instance.getMetadata(added.key)).resolves.toMatchObject({
+      storageType: 'composite',
+      metadata: { label: 'Mixed' }
+    });
+  });
+
+  it('routes appended and removed items to the part that holds them', async () => {
+    const { instance } = openPage(uniqueDbName('composite'));
+    const added = await instance.add([
+      createFakeDirectoryHandle(photosTree),
+      new File(['loose'], 'loose.txt')
+    ]);
+
+    const appended = await instance.appendToSelection(added.key, [
+      createFakeFileHandle({ name: 'notes.txt', size: 3 }),
+      new File(['more'], 'more.txt')
+    ]);
+    expect(appended).toMatchObject({
+      ok: true,
+      storageType: 'composite',
+      added: 2,
+      counts: { files: 5, directories: 1, handles: 4 },
+      parts: {
+        native: { counts: { files: 3, handles: 2 } },
+        transient: { counts: { files: 2, handles: 2 } }
+      }
+    });
+    expect(appended.content.bytes).toBe(8 + 3 + 9);
+    expect((await instance.registry.getRecord(added.key)).counts).toEqual(appended.counts);
+
+    const removed = await instance.removeFromSelection(added.key, ['photos', 'loose.txt']);
+    expect(removed).toMatchObject({
+      ok: true,
+      removed: 2,
+      counts: { files: 2, directories: 0, handles: 2 },
+      parts: { native: { counts: { files: 1 } }, transient: { counts: { files: 1 } } }
+    });
+    await expect(instance.removeFromSelection(added.key, 'more.txt')).resolves.toEqual({
+      ok: false,
+      reason: 'empty-selection'
+    });
+    expect(await collectPaths(instance.enumerate(added.key))).toEqual(['more.txt', 'notes.txt']);
+    await expect(instance.getFileCount(added.key)).resolves.toMatchObject({
+      counts: removed.counts
+    });
+
+    await instance.captureManifest(added.key);
+    expect((await instance.manifests.getManifest(added.key)).entries).toHaveLength(2);
+  });
+
+  it('rolls back the native part and its manifest when the transient part fails', async () => {
+    const { instance } = openPage(uniqueDbName('composite'));
+    const persistHandles = vi.spyOn(instance.nativeHandles, 'persistHandles');
+
+    const added = await instance.add([
+      createFakeDirectoryHandle(photosTree),
+      { name: 'not-a-file' }
+    ]);
+    expect(added).toMatchObject({ ok: false, reason: 'storage-failure' });
+
+    const [{ value: native }] = persistHandles.mock.results;
+    const { key } = await native;
+    expect(await instance.listKeys()).toEqual([]);
+    expect(await instance.manifests.getManifest(key)).toBeUndefined();
+    await expect(instance.verifyIntegrity()).resolves.toMatchObject({ healthy: true });
+  });
+
+  it('reports the expired transient part while the native part survives', async () => {
+    const dbName = uniqueDbName('composite');
+    const page = openPage(dbName);
+    const expired = [];
+    page.instance.on('expired', (event) => expired.push(event));
+    const added = await page.instance.add([
+      createFakeDirectoryHandle(photosTree),
+      new File(['loose'], 'loose.txt')
+    ]);
+
+    page.unload.dispatch();
+    await vi.waitFor(() =>
+      expect(expired).toEqual([
+        expect.objectContaining({ key: added.key, storageType: 'composite', part: 'transient' })
+      ])
+    );
+
+    const reloaded = openPage(dbName).instance;
+    for (const instance of [page.instance, reloaded]) {
+      await expect(instance.exists(added.key)).resolves.toMatchObject({
+        exists: true,
+        storageType: 'composite',
+        parts: {
+          native: { exists: true },
+          transient: { exists: false, reason: 'transient-expired' }
+        }
+      });
+      await expect(instance.getFileCount(added.key)).resolves.toMatchObject({
+        ok: true,
+        counts: nativeCounts,
+        partial: true,
+        reason: 'transient-expired',
+        parts: {
+          native: { ok: true, counts: nativeCounts },
+          transient: { ok: false, reason: 'transient-expired', counts: transientCounts }
+        }
+      });
+    }
+    await expect(reloaded.openFileStream(added.key, 'loose.txt')).resolves.toMatchObject({
+      ok: false,
+      reason: 'transient-expired'
+    });
+    await expect(
+      reloaded.appendToSelection(added.key, [new File(['late'], 'late.txt')])
+    ).resolves.toEqual({ ok: false, reason: 'transient-expired' });
+    await expect(
+      reloaded.appendToSelection(added.key, [createFakeFileHandle({ name: 'c.jpg', size: 2 })])
+    ).resolves.toMatchObject({ ok: true, added: 1, counts: { files: 3, handles: 2 } });
+    expect(await collectPaths(reloaded.enumerate(added.key))).toEqual([
+      'c.jpg',
+      'photos',
+      'photos/a.jpg',
+      'photos/b.jpg'
+    ]);
+
+    await expect(reloaded.verifyIntegrity()).resolves.toMatchObject({ healthy: true });
+    await expect(reloaded.remove(added.key)).resolves.toMatchObject({ ok: true });
+    expect(await reloaded.listKeys()).toEqual([]);
+  });
+});
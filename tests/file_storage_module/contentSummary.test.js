@@ -0,0 +1,181 @@
+import { describe, expect, it } from 'vitest';
+import { groundTruthTree } from '../../public/tests/file_storage_module/fixtures/groundTruthManifest.js';
+import { createFakeDirectoryHandle } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+import { createInstance } from './helpers/pages.js';
+
+useLiveHandles();
+
+// Handles must be class instances to survive the structured clone in IndexedDB.
+class StaticFileHandle {
+  constructor(file) {
+    this.kind = 'file';
+    this.name = file.name;
+    this.file = file;
+  }
+
+  async getFile() {
+    return this.file;
+  }
+}
+
+class RevokedFileHandle {
+  constructor(name) {
+    this.kind = 'file';
+    this.name = name;
+  }
+
+  async getFile() {
+    throw new DOMException('Permission revoked', 'NotAllowedError');
+  }
+}
+
+const FIXTURE_DATE = 1_700_000_000_000;
+
+const groundTruthContent = {
+  bytes: 417,
+  largest: [
+    { relativePath: 'ground-truth/README.txt', size: 64 },
+    { relativePath: 'ground-truth/documents/notes/todo.md', size: 58 },
+    { relativePath: 'ground-truth/documents/report.txt', size: 58 },
+    { relativePath: 'ground-truth/media/photos/IMG_0001.jpg', size: 51 },
+    { relativePath: 'ground-truth/media/photos/edited/IMG_0002.png', size: 51 },
+    { relativePath: 'ground-truth/media/videos/family.mov', size: 45 },
+    { relativePath: 'ground-truth/media/videos/highlights/clip.mp4', size: 45 },
+    { relativePath: 'ground-truth/transfers/incoming/archive.zip', size: 45 }
+  ],
+  extensions: {
+    jpg: { files: 1, bytes: 51 },
+    md: { files: 1, bytes: 58 },
+    mov: { files: 1, bytes: 45 },
+    mp4: { files: 1, bytes: 45 },
+    png: { files: 1, bytes: 51 },
+    txt: { files: 2, bytes: 122 },
+    zip: { files: 1, bytes: 45 }
+  },
+  families: {
+    photos: { files: 2, bytes: 102 },
+    videos: { files: 2, bytes: 90 },
+    documents: { files: 3, bytes: 180 },
+    other: { files: 1, bytes: 45 }
+  },
+  oldest: FIXTURE_DATE,
+  newest: FIXTURE_DATE,
+  unreadable: 0
+};
+
+describe('content summaries', () => {
+  it('totals bytes, largest files and families for native selections', async () => {
+    const instance = createInstance('content');
+
+    const added = await instance.add([createFakeDirectoryHandle(groundTruthTree)]);
+    expect(added.content).toEqual(groundTruthContent);
+    await expect(instance.getFileCount(added.key, { concurrency: 1 })).resolves.toMatchObject({
+      ok: true,
+      content: groundTruthContent
+    });
+    expect((await instance.nativeHandles.getRecord(added.key)).content).toEqual(
+      groundTruthContent
+    );
+  });
+
+  it('classifies by MIME type first and refreshes the cached summary when it falls behind', async () => {
+    const instance = createInstance('content');
+    const tree = {
+      kind: 'directory',
+      name: 'mixed',
+      children: [
+        ...Array.from({ length: 10 }, (_, index) => ({
+          kind: 'file',
+          name: `${index}.bin`,
+          size: index + 1,
+          lastModified: 1000 + index
+        })),
+        { kind: 'file', name: 'scan', size: 20, type: 'application/pdf', lastModified: 50 },
+        { kind: 'file', name: 'IMG_1.HEIC', size: 30, lastModified: 5000 },
+        { kind: 'file', name: 'song.txt', size: 40, type: 'audio/mpeg', lastModified: 900 }
+      ]
+    };
+    const { key, content } = await instance.add([createFakeDirectoryHandle(tree)]);
+
+    expect(content).toMatchObject({
+      bytes: 145,
+      oldest: 50,
+      newest: 5000,
+      families: {
+        photos: { files: 1, bytes: 30 },
+        videos: { files: 0, bytes: 0 },
+        documents: { files: 1, bytes: 20 },
+        other: { files: 11, bytes: 95 }
+      }
+    });
+    expect(Object.keys(content.extensions)).toEqual(['', 'bin', 'heic', 'txt']);
+    expect(content.largest).toHaveLength(10);
+    expect(content.largest.slice(0, 4).map((entry) => entry.size)).toEqual([40, 30, 20, 10]);
+    expect(content.largest.at(-1)).toEqual({ relativePath: 'mixed/3.bin', size: 4 });
+
+    tree.children[0].size = 50;
+    await expect(instance.getFileCount(key)).resolves.toMatchObject({ content });
+
+    tree.children.push({ kind: 'file', name: 'big.mp4', size: 100, lastModified: 6000 });
+    const recounted = await instance.getFileCount(key);
+    expect(recounted).toMatchObject({
+      counts: { files: 14 },
+      content: { bytes: 294, newest: 6000 }
+    });
+    expect(recounted.content.largest[0]).toEqual({ relativePath: 'mixed/big.mp4', size: 100 });
+    expect((await instance.nativeHandles.getRecord(key)).content).toEqual(recounted.content);
+
+    tree.children[1].size = 60;
+    await expect(instance.getFileCount(key, { refreshContent: true })).resolves.toMatchObject({
+      content: { bytes: 352 }
+    });
+  });
+
+  it('counts files it cannot read as unreadable', async () => {
+    const instance = createInstance('content');
+    const added = await instance.add([
+      new RevokedFileHandle('locked.jpg'),
+      new StaticFileHandle(new File(['abc'], 'open.jpg', { lastModified: 7 }))
+    ]);
+    expect(added.counts).toMatchObject({ files: 2 });
+    expect(added.content).toMatchObject({
+      bytes: 3,
+      unreadable: 1,
+      families: { photos: { files: 1, bytes: 3 } }
+    });
+  });
+
+  it('summarizes transient selections and merges both parts of composite ones', async () => {
+    const instance = createInstance('content');
+    const clip = new File(['12345'], 'clip.webm', { type: 'video/webm', lastModified: 10 });
+    const notes = new File(['1'], 'notes.txt', { type: 'text/plain', lastModified: 20 });
+
+    const transient = await instance.add([clip, notes]);
+    expect(transient.content).toMatchObject({
+      bytes: 6,
+      largest: [
+        { relativePath: 'clip.webm', size: 5 },
+        { relativePath: 'notes.txt', size: 1 }
+      ],
+      families: { videos: { files: 1, bytes: 5 }, documents: { files: 1, bytes: 1 } },
+      oldest: 10,
+      newest: 20
+    });
+    await expect(instance.getFileCount(transient.key)).resolves.toMatchObject({
+      content: transient.content
+    });
+
+    const composite = await instance.add([createFakeDirectoryHandle(groundTruthTree), clip]);
+    expect(composite.storageType).toBe('composite');
+    const counted = await instance.getFileCount(composite.key);
+    expect(counted.content).toMatchObject({
+      bytes: groundTruthContent.bytes + 5,
+      oldest: 10,
+      newest: FIXTURE_DATE,
+      families: { videos: { files: 3, bytes: 95 } }
+    });
+    expect(counted.content.extensions.webm).toEqual({ files: 1, bytes: 5 });
+    expect(composite.content).toEqual(counted.content);
+  });
+});
@@ -0,0 +1,108 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import {
+  groundTruthCounts,
+  groundTruthTree
+} from '../../public/tests/file_storage_module/fixtures/groundTruthManifest.js';
+import { createFakeDirectoryHandle, createFakeFileSystemEntry } from './helpers/fakeHandles.js';
+
+// Like a real DataTransfer, every item accessor throws once the drop event has
+// finished dispatching; call `endDrop()` right after the synchronous handler.
+const createFakeDataTransfer = (items, { files = [] } = {}) => {
+  let dispatching = true;
+  const guard = (read) => () => {
+    if (!dispatching) {
+      throw new Error('DataTransfer read after the drop event');
+    }
+    return read();
+  };
+  return {
+    files,
+    items: items.map(({ kind = 'file', handle, entry, file }) => ({
+      kind,
+      ...(handle === undefined
+        ? {}
+        : { getAsFileSystemHandle: guard(() => Promise.resolve(handle)) }),
+      webkitGetAsEntry: guard(() => entry ?? null),
+      getAsFile: guard(() => file ?? null)
+    })),
+    endDrop: () => {
+      dispatching = false;
+    }
+  };
+};
+
+const drop = (dataTransfer, ...args) => {
+  const pending = fileStorageModule.addFromDataTransfer(dataTransfer, ...args);
+  dataTransfer.endDrop();
+  return pending;
+};
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+});
+
+describe('fileStorageModule.addFromDataTransfer', () => {
+  it('persists dropped folders as native handles where the browser offers them', async () => {
+    const dataTransfer = createFakeDataTransfer([
+      {
+        handle: createFakeDirectoryHandle(groundTruthTree),
+        entry: createFakeFileSystemEntry(groundTruthTree)
+      },
+      { kind: 'string' }
+    ]);
+
+    const added = await drop(dataTransfer, { label: 'Dropped' });
+    expect(added).toMatchObject({
+      ok: true,
+      storageType: 'native-handle',
+      counts: groundTruthCounts
+    });
+    await expect(fileStorageModule.getMetadata(added.key)).resolves.toMatchObject({
+      metadata: { label: 'Dropped' }
+    });
+    await fileStorageModule.remove(added.key);
+  });
+
+  it('keeps handles durable when only some items have one', async () => {
+    const dataTransfer = createFakeDataTransfer([
+      {
+        handle: createFakeDirectoryHandle(groundTruthTree),
+        entry: createFakeFileSystemEntry(groundTruthTree)
+      },
+      { handle: null, file: new File(['abc'], 'loose.txt') }
+    ]);
+
+    const added = await drop(dataTransfer);
+    expect(added).toMatchObject({ ok: true, storageType: 'composite' });
+    expect(added.counts).toEqual({
+      files: groundTruthCounts.files + 1,
+      directories: groundTruthCounts.directories,
+      handles: 2,
+      filtered: 0
+    });
+    await fileStorageModule.remove(added.key);
+  });
+
+  it('uses webkitGetAsEntry in browsers without getAsFileSystemHandle', async () => {
+    const added = await drop(
+      createFakeDataTransfer([{ entry: createFakeFileSystemEntry(groundTruthTree) }])
+    );
+    expect(added).toMatchObject({
+      ok: true,
+      storageType: 'transient-session',
+      counts: { files: groundTruthCounts.files, handles: 1 }
+    });
+  });
+
+  it('reads dataTransfer.files when there is no item list and reports empty drops', async () => {
+    const file = new File(['abc'], 'plain.txt');
+    const fromFiles = await fileStorageModule.addFromDataTransfer({ files: [file] });
+    expect(fromFiles).toMatchObject({ ok: true, counts: { files: 1 } });
+
+    await expect(
+      drop(createFakeDataTransfer([{ kind: 'string' }]))
+    ).resolves.toEqual({ ok: false, reason: 'no-selection' });
+  });
+});
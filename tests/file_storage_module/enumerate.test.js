@@ -0,0 +1,99 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import {
+  createTransientFixture,
+  groundTruthEntries,
+  groundTruthTree
+} from '../../public/tests/file_storage_module/fixtures/groundTruthManifest.js';
+import { createFakeNativeHandles } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+
+useLiveHandles();
+
+const collect = async (iterable) => {
+  const entries = [];
+  for await (const entry of iterable) {
+    entries.push(entry);
+  }
+  return entries;
+};
+
+const expectedPaths = (kind) =>
+  groundTruthEntries
+    .filter((entry) => entry.kind === kind)
+    .map((entry) =>
+      kind === 'directory' ? entry.path : `${groundTruthTree.name}/${entry.path}`
+    )
+    .sort();
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.nativeHandles.remove(key);
+  }
+});
+
+describe('fileStorageModule.enumerate', () => {
+  it('walks native directory trees and reports file metadata', async () => {
+    const { key } = await fileStorageModule.add(createFakeNativeHandles());
+
+    const entries = await collect(fileStorageModule.enumerate(key));
+    const files = entries.filter((entry) => entry.kind === 'file');
+    const directories = entries.filter((entry) => entry.kind === 'directory');
+
+    expect(files.map((entry) => entry.relativePath).sort()).toEqual(expectedPaths('file'));
+    expect(directories.map((entry) => entry.relativePath).sort()).toEqual(
+      expectedPaths('directory')
+    );
+    expect(files.find((entry) => entry.relativePath.endsWith('report.txt'))).toMatchObject({
+      size: 58,
+      lastModified: expect.any(Number),
+      type: ''
+    });
+    expect(directories[0]).toMatchObject({ size: null, lastModified: null, type: null });
+  });
+
+  it('yields the same paths for transient selections', async () => {
+    // The fixture carries `kind`, so route it through the transient backend directly.
+    const { key } = await fileStorageModule.transientSessions.persistEntries(
+      createTransientFixture()
+    );
+
+    const entries = await collect(fileStorageModule.enumerate(key));
+
+    expect(
+      entries
+        .filter((entry) => entry.kind === 'file')
+        .map((entry) => entry.relativePath)
+        .sort()
+    ).toEqual(expectedPaths('file'));
+    expect(
+      entries
+        .filter((entry) => entry.kind === 'directory')
+        .map((entry) => entry.relativePath)
+        .sort()
+    ).toEqual(expectedPaths('directory'));
+    expect(entries.find((entry) => entry.kind === 'file')?.size).toBe(1_024);
+  });
+
+  it('uses fullPath for entry-like transient objects', async () => {
+    const { key } = await fileStorageModule.add([
+      { name: 'clip.mov', isFile: true, fullPath: '/videos/clip.mov' }
+    ]);
+
+    const entries = await collect(fileStorageModule.enumerate(key));
+    expect(entries.map(({ relativePath, kind }) => ({ relativePath, kind }))).toEqual([
+      { relativePath: 'videos', kind: 'directory' },
+      { relativePath: 'videos/clip.mov', kind: 'file' }
+    ]);
+  });
+
+  it('throws a structured error for unknown keys', async () => {
+    await expect(collect(fileStorageModule.enumerate('fs-missing'))).rejects.toMatchObject({
+      name: 'FileStorageError',
+      reason: 'unknown-key'
+    });
+  });
+});
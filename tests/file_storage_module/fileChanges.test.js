@@ -0,0 +1,205 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createFakeDirectoryHandle } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+import { createInstance } from './helpers/pages.js';
+
+useLiveHandles();
+
+// Mimics a browser File snapshot whose file on disk was modified afterwards.
+const makeStale = (file) =>
+  Object.assign(file, {
+    slice: () => ({
+      arrayBuffer: async () => {
+        throw new DOMException('The file changed on disk', 'NotReadableError');
+      }
+    })
+  });
+
+// A file handle whose earlier snapshots turn unreadable once it is edited.
+class EditableFileHandle {
+  constructor(name, content) {
+    this.kind = 'file';
+    this.name = name;
+    this.version = { content, lastModified: 1 };
+    this.snapshots = [];
+  }
+
+  async getFile() {
+    const file = new File([this.version.content], this.name, {
+      lastModified: this.version.lastModified
+    });
+    this.snapshots.push(file);
+    return file;
+  }
+
+  edit(content) {
+    this.snapshots.splice(0).forEach(makeStale);
+    this.version = { content, lastModified: this.version.lastModified + 1 };
+  }
+}
+
+const readStream = (stream) => new Response(stream).text();
+
+describe('reads of files that changed', () => {
+  it('refuses to open a file that no longer matches the captured manifest', async () => {
+    const instance = createInstance('file-changes');
+    const tree = {
+      kind: 'directory',
+      name: 'docs',
+      children: [{ kind: 'file', name: 'a.txt', size: 10, lastModified: 5 }]
+    };
+    const { key } = await instance.add([createFakeDirectoryHandle(tree)]);
+    await instance.captureManifest(key);
+
+    Object.assign(tree.children[0], { size: 12, lastModified: 9 });
+    await expect(instance.openFileStream(key, 'docs/a.txt')).resolves.toEqual({
+      ok: false,
+      reason: 'file-changed',
+      path: 'docs/a.txt',
+      before: { size: 10, lastModified: 5 },
+      after: { size: 12, lastModified: 9 },
+      storageType: 'native-handle'
+    });
+  });
+
+  it('records the current version of a folder that is removed, edited and re-added', async () => {
+    const instance = createInstance('file-changes');
+    const docs = {
+      kind: 'directory',
+      name: 'docs',
+      children: [{ kind: 'file', name: 'a.txt', size: 10, lastModified: 5 }]
+    };
+    const other = {
+      kind: 'directory',
+      name: 'other',
+      children: [{ kind: 'file', name: 'b.txt', size: 4, lastModified: 5 }]
+    };
+    const { key } = await instance.add([
+      createFakeDirectoryHandle(docs),
+      createFakeDirectoryHandle(other)
+    ]);
+
+    await instance.removeFromSelection(key, 'docs');
+    expect((await instance.manifests.getManifest(key)).entries).toEqual([
+      { relativePath: 'other/b.txt', size: 4, lastModified: 5 }
+    ]);
+    Object.assign(docs.children[0], { size: 12, lastModified: 9 });
+    await instance.appendToSelection(key, [createFakeDirectoryHandle(docs)]);
+
+    await expect(instance.openFileStream(key, 'docs/a.txt')).resolves.toMatchObject({ ok: true });
+    await expect(instance.diff(key)).resolves.toMatchObject({ ok: true, changed: false });
+  });
+
+  it('errors the stream when a native file changes mid-read', async () => {
+    const instance = createInstance('file-changes');
+    const handle = new EditableFileHandle('live.txt', 'abcdefgh');
+    const { key } = await instance.add([handle]);
+
+    const opened = await instance.openFileStream(key, 'live.txt', { chunkSize: 4 });
+    const reader = opened.stream.getReader();
+    await reader.read();
+    handle.edit('abcdefghijkl');
+
+    const failure = await reader.read().catch((error) => error);
+    expect(failure).toMatchObject({
+      name: 'FileStorageError',
+      reason: 'file-changed',
+      key,
+      path: 'live.txt',
+      before: { size: 8, lastModified: 1 },
+      after: { size: 12, lastModified: 2 }
+    });
+
+    await expect(instance.openFileStream(key, 'live.txt')).resolves.toMatchObject({
+      ok: false,
+      reason: 'file-changed'
+    });
+    const accepted = await instance.openFileStream(key, 'live.txt', { acceptChanges: true });
+    expect(await readStream(accepted.stream)).toBe('abcdefghijkl');
+    const reopened = await instance.openFileStream(key, 'live.txt');
+    expect(await readStream(reopened.stream)).toBe('abcdefghijkl');
+    expect((await instance.manifests.getManifest(key)).entries).toEqual([
+      { relativePath: 'live.txt', size: 12, lastModified: 2 }
+    ]);
+  });
+
+  it('drops the cached manifest index when a key is added again', async () => {
+    const instance = createInstance('file-changes');
+    const tree = {
+      kind: 'directory',
+      name: 'docs',
+      children: [{ kind: 'file', name: 'a.txt', size: 10, lastModified: 5 }]
+    };
+    const { key } = await instance.add([createFakeDirectoryHandle(tree)]);
+    await expect(instance.openFileStream(key, 'docs/a.txt')).resolves.toMatchObject({ ok: true });
+
+    Object.assign(tree.children[0], { size: 12, lastModified: 9 });
+    await instance.add([createFakeDirectoryHandle(tree)], { key });
+    await expect(instance.openFileStream(key, 'docs/a.txt')).resolves.toMatchObject({ ok: true });
+  });
+
+  it('detects edits made after add without a captured manifest', async () => {
+    const instance = createInstance('file-changes');
+    const tree = {
+      kind: 'directory',
+      name: 'docs',
+      children: [
+        { kind: 'file', name: 'a.txt', size: 10, lastModified: 5 },
+        { kind: 'file', name: 'b.txt', size: 4, lastModified: 5 }
+      ]
+    };
+    const { key } = await instance.add([createFakeDirectoryHandle(tree)]);
+    const getManifest = vi.spyOn(instance.manifests, 'getManifest');
+
+    await expect(instance.openFileStream(key, 'docs/b.txt')).resolves.toMatchObject({ ok: true });
+    Object.assign(tree.children[0], { size: 12, lastModified: 9 });
+    await expect(instance.openFileStream(key, 'docs/a.txt')).resolves.toMatchObject({
+      ok: false,
+      reason: 'file-changed',
+      before: { size: 10, lastModified: 5 },
+      after: { size: 12, lastModified: 9 }
+    });
+    expect(getManifest).toHaveBeenCalledTimes(1);
+
+    await instance.captureManifest(key);
+    await expect(instance.openFileStream(key, 'docs/a.txt')).resolves.toMatchObject({ ok: true });
+    expect(getManifest).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports stale transient snapshots from streams and hashing', async () => {
+    const instance = createInstance('file-changes');
+    const file = new File(['snapshot'], 'note.txt', { lastModified: 3 });
+    const { key } = await instance.add([file]);
+    makeStale(file);
+
+    const opened = await instance.openFileStream(key, 'note.txt');
+    await expect(opened.stream.getReader().read()).rejects.toMatchObject({
+      reason: 'snapshot-stale',
+      path: 'note.txt'
+    });
+    await expect(instance.hash(key)).resolves.toMatchObject({
+      ok: false,
+      reason: 'snapshot-stale',
+      path: 'note.txt',
+      storageType: 'transient-session'
+    });
+  });
+
+  it('reports native files that change while they are hashed', async () => {
+    const instance = createInstance('file-changes');
+    const handle = new EditableFileHandle('live.txt', 'abcdefgh');
+    const { key } = await instance.add([handle]);
+
+    const result = await instance.hash(key, {
+      chunkSize: 4,
+      onProgress: () => handle.edit('changed')
+    });
+    expect(result).toMatchObject({
+      ok: false,
+      reason: 'file-changed',
+      path: 'live.txt',
+      before: { size: 8, lastModified: 1 },
+      after: { size: 7, lastModified: 2 }
+    });
+  });
+});
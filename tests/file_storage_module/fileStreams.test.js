@@ -0,0 +1,111 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import {
+  createDeterministicBytes,
+  createFakeFileHandle,
+  createFakeNativeHandles
+} from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+
+useLiveHandles();
+
+const readStream = async (stream) => {
+  const reader = stream.getReader();
+  const chunks = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return chunks;
+    }
+    chunks.push(value);
+  }
+};
+
+const concatChunks = (chunks) => {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+  const bytes = new Uint8Array(total);
+  let position = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, position);
+    position += chunk.byteLength;
+  }
+  return bytes;
+};
+
+const resetModuleState = async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.nativeHandles.remove(key);
+  }
+};
+
+beforeEach(resetModuleState);
+
+describe('fileStorageModule.openFileStream', () => {
+  it('streams native files in fixed-size chunks from a nested path', async () => {
+    const { key } = await fileStorageModule.add(createFakeNativeHandles());
+
+    const result = await fileStorageModule.openFileStream(
+      key,
+      'ground-truth/documents/report.txt',
+      { chunkSize: 16 }
+    );
+
+    expect(result.ok).toBe(true);
+    expect(result.size).toBe(58);
+    const chunks = await readStream(result.stream);
+    expect(chunks.map((chunk) => chunk.byteLength)).toEqual([16, 16, 16, 10]);
+    expect(concatChunks(chunks)).toEqual(createDeterministicBytes(58, 'report.txt'));
+  });
+
+  it('resumes native reads from an offset', async () => {
+    const handle = createFakeFileHandle({ name: 'clip.mp4', size: 100 });
+    const { key } = await fileStorageModule.add([handle]);
+
+    const result = await fileStorageModule.openFileStream(key, 'clip.mp4', {
+      offset: 90,
+      chunkSize: 4
+    });
+
+    const bytes = concatChunks(await readStream(result.stream));
+    expect(bytes).toEqual(createDeterministicBytes(100, 'clip.mp4').slice(90));
+  });
+
+  it('streams transient File entries by their relative path', async () => {
+    const file = new File([createDeterministicBytes(10)], 'notes.txt');
+    Object.defineProperty(file, 'webkitRelativePath', { value: 'docs/notes.txt' });
+    const { key, storageType } = await fileStorageModule.add([file]);
+    expect(storageType).toBe('transient-session');
+
+    const result = await fileStorageModule.openFileStream(key, 'docs/notes.txt', {
+      offset: 2,
+      chunkSize: 3
+    });
+
+    const chunks = await readStream(result.stream);
+    expect(chunks.map((chunk) => chunk.byteLength)).toEqual([3, 3, 2]);
+    expect(concatChunks(chunks)).toEqual(createDeterministicBytes(10).slice(2));
+  });
+
+  it('reports structured reasons for missing files and invalid options', async () => {
+    const { key } = await fileStorageModule.add(createFakeNativeHandles());
+
+    const missing = await fileStorageModule.openFileStream(key, 'ground-truth/nope.txt');
+    expect(missing).toMatchObject({ ok: false, reason: 'file-not-found' });
+
+    const pastEnd = await fileStorageModule.openFileStream(key, 'ground-truth/README.txt', {
+      offset: 1_000
+    });
+    expect(pastEnd).toMatchObject({ ok: false, reason: 'invalid-offset' });
+
+    const badChunk = await fileStorageModule.openFileStream(key, 'ground-truth/README.txt', {
+      chunkSize: 0
+    });
+    expect(badChunk).toMatchObject({ ok: false, reason: 'invalid-chunk-size' });
+
+    const unknown = await fileStorageModule.openFileStream('fs-missing', 'a.txt');
+    expect(unknown).toMatchObject({ ok: false, reason: 'unknown-key' });
+  });
+});
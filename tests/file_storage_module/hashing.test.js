@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import {
+  groundTruthCounts,
+  groundTruthTree
+} from '../../public/tests/file_storage_module/fixtures/groundTruthManifest.js';
+import {
+  createDeterministicBytes,
+  createFakeFileHandle,
+  createFakeNativeHandles
+} from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+
+useLiveHandles();
+
+const sha256Hex = async (bytes) =>
+  Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+
+const hexToBytes = (hex) => Uint8Array.from(hex.match(/../g), (pair) => parseInt(pair, 16));
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.remove(key);
+  }
+});
+
+describe('fileStorageModule.hash', () => {
+  it('computes per-chunk SHA-256 digests and a root over the chunk list', async () => {
+    const handle = createFakeFileHandle({ name: 'clip.mp4', size: 10 });
+    const { key } = await fileStorageModule.add([handle]);
+
+    const result = await fileStorageModule.hash(key, { chunkSize: 4 });
+
+    expect(result.ok).toBe(true);
+    const [file] = result.files;
+    const bytes = createDeterministicBytes(10, 'clip.mp4');
+    const expectedChunks = await Promise.all(
+      [bytes.slice(0, 4), bytes.slice(4, 8), bytes.slice(8)].map(sha256Hex)
+    );
+    expect(file.chunks).toEqual(expectedChunks);
+
+    const combined = new Uint8Array(96);
+    expectedChunks.forEach((chunk, index) => combined.set(hexToBytes(chunk), index * 32));
+    expect(file.root).toBe(await sha256Hex(combined));
+    expect(file).toMatchObject({ relativePath: 'clip.mp4', size: 10, chunkSize: 4, cached: false });
+  });
+
+  it('serves unchanged files from the IndexedDB cache and rehashes edits', async () => {
+    const tree = structuredClone(groundTruthTree);
+    const { key } = await fileStorageModule.add(createFakeNativeHandles(tree));
+
+    const first = await fileStorageModule.hash(key, { chunkSize: 16 });
+    expect(first.files).toHaveLength(groundTruthCounts.files);
+    expect(first.files.every((file) => !file.cached)).toBe(true);
+
+    tree.children[0].size = 80;
+    const events = [];
+    const second = await fileStorageModule.hash(key, {
+      chunkSize: 16,
+      onProgress: (event) => events.push(event)
+    });
+
+    const rehashed = second.files.filter((file) => !file.cached);
+    expect(rehashed.map((file) => file.relativePath)).toEqual(['ground-truth/README.txt']);
+    expect(events.at(-1)).toMatchObject({
+      files: groundTruthCounts.files,
+      totalFiles: groundTruthCounts.files
+    });
+
+    const differentChunking = await fileStorageModule.hash(key, { chunkSize: 32 });
+    expect(differentChunking.files.every((file) => !file.cached)).toBe(true);
+  });
+
+  it('hashes transient files without caching them', async () => {
+    const file = new File([createDeterministicBytes(5)], 'a.bin');
+    const { key } = await fileStorageModule.add([file]);
+
+    const first = await fileStorageModule.hash(key, { chunkSize: 2 });
+    const second = await fileStorageModule.hash(key, { chunkSize: 2 });
+
+    expect(first.files[0].chunks).toHaveLength(3);
+    expect(second.files[0]).toMatchObject({ cached: false, root: first.files[0].root });
+  });
+
+  it('stops hashing when the signal aborts', async () => {
+    const { key } = await fileStorageModule.add(createFakeNativeHandles());
+    const controller = new AbortController();
+
+    const result = await fileStorageModule.hash(key, {
+      chunkSize: 8,
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    });
+
+    expect(result).toMatchObject({ ok: false, reason: 'aborted' });
+  });
+});
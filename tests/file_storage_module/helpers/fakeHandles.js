@@ -1,11 +1,30 @@
 import { groundTruthTree } from '../../../public/tests/file_storage_module/fixtures/groundTruthManifest.js';
 
+export const createDeterministicBytes = (size, seed = '') => {
+  const bytes = new Uint8Array(size);
+  for (let index = 0; index < size; index += 1) {
+    bytes[index] = (index + seed.length) % 251;
+  }
+  return bytes;
+};
+
 class FakeFileHandle {
   constructor(node) {
     this.kind = 'file';
     this.name = node.name;
     this.path = node.path;
     this.size = node.size ?? 0;
+    this.lastModified = node.lastModified ?? 1_700_000_000_000;
+    this.type = node.type ?? '';
+    this.content = node.content;
+  }
+
+  async getFile() {
+    const bytes = this.content ?? createDeterministicBytes(this.size, this.name);
+    return new File([bytes], this.name, {
+      type: this.type,
+      lastModified: this.lastModified
+    });
   }
 }
 
@@ -38,9 +57,121 @@ class FakeDirectoryHandle {
   }
 }
 
+export const createFakeFileHandle = (node) => new FakeFileHandle(node);
+
 export const createFakeDirectoryHandle = (node = groundTruthTree) =>
   new FakeDirectoryHandle(node);
 
 export const createFakeNativeHandles = (node = groundTruthTree) => [
   createFakeDirectoryHandle(node)
 ];
+
+// Stand-ins for the FileSystemEntry objects `webkitGetAsEntry()` returns for
+// dropped items. Directory readers hand out children `batchSize` at a time and
+// then an empty batch, like Chromium's `readEntries`.
+class FakeFileSystemFileEntry {
+  constructor(node, parentPath) {
+    this.isFile = true;
+    this.isDirectory = false;
+    this.name = node.name;
+    this.fullPath = `${parentPath}/${node.name}`;
+    this.handle = new FakeFileHandle(node);
+  }
+
+  file(onSuccess, onError) {
+    this.handle.getFile().then(onSuccess, onError);
+  }
+}
+
+class FakeFileSystemDirectoryEntry {
+  constructor(node, parentPath, options) {
+    this.isFile = false;
+    this.isDirectory = true;
+    this.name = node.name;
+    this.fullPath = `${parentPath}/${node.name}`;
+    this.children = Array.isArray(node.children) ? node.children : [];
+    this.options = options;
+    this.readCalls = 0;
+  }
+
+  createReader() {
+    let offset = 0;
+    return {
+      readEntries: (onSuccess) => {
+        this.readCalls += 1;
+        const batch = this.children
+          .slice(offset, offset + this.options.batchSize)
+          .map((child) => createFakeFileSystemEntry(child, this.options, this.fullPath));
+        offset += batch.length;
+        setTimeout(() => onSuccess(batch), 0);
+      }
+    };
+  }
+}
+
+export const createFakeFileSystemEntry = (
+  node = groundTruthTree,
+  options = { batchSize: 100 },
+  parentPath = ''
+) =>
+  node.kind === 'directory'
+    ? new FakeFileSystemDirectoryEntry(node, parentPath, options)
+    : new FakeFileSystemFileEntry(node, parentPath);
+
+// Lazily generated tree for traversal tests and benchmarks: every directory
+// holds `filesPerDirectory` files and, above `depth` 0, `directoriesPerLevel`
+// subdirectories. Listing a directory waits `latencyMs` like a disk read, and
+// `stats` records how many listings were in flight at once.
+class GeneratedDirectoryHandle {
+  constructor(name, depth, shape) {
+    this.kind = 'directory';
+    this.name = name;
+    this.depth = depth;
+    this.shape = shape;
+  }
+
+  async *values() {
+    const { filesPerDirectory, directoriesPerLevel, latencyMs, stats } = this.shape;
+    stats.active += 1;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    stats.active -= 1;
+    stats.listings += 1;
+
+    for (let index = 0; index < filesPerDirectory; index += 1) {
+      yield new FakeFileHandle({ name: `photo-${index}.jpg`, size: 1024 });
+    }
+    if (this.depth > 0) {
+      for (let index = 0; index < directoriesPerLevel; index += 1) {
+        yield new GeneratedDirectoryHandle(`folder-${index}`, this.depth - 1, this.shape);
+      }
+    }
+  }
+}
+
+export const createGeneratedDirectoryHandle = ({
+  name = 'generated',
+  depth = 2,
+  directoriesPerLevel = 4,
+  filesPerDirectory = 10,
+  latencyMs = 0
+} = {}) => {
+  const stats = { active: 0, maxActive: 0, listings: 0 };
+  const handle = new GeneratedDirectoryHandle(name, depth, {
+    directoriesPerLevel,
+    filesPerDirectory,
+    latencyMs,
+    stats
+  });
+  let directories = 1;
+  let level = 1;
+  for (let remaining = depth; remaining > 0; remaining -= 1) {
+    level *= directoriesPerLevel;
+    directories += level;
+  }
+  return {
+    handle,
+    stats,
+    counts: { files: directories * filesPerDirectory, directories, handles: 1, filtered: 0 }
+  };
+};
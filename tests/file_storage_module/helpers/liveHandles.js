@@ -0,0 +1,51 @@
+import { afterEach, beforeEach } from 'vitest';
+
+// Browsers structured-clone FileSystemHandles as platform objects that keep
+// working after a round trip through IndexedDB. fake-indexeddb uses the global
+// structuredClone, which strips the prototype methods our fake handles rely on,
+// so while this is installed class-based handle instances are kept by
+// reference and everything else is cloned as usual.
+const isFakeHandleInstance = (value) =>
+  Boolean(
+    value &&
+      typeof value === 'object' &&
+      typeof value.kind === 'string' &&
+      typeof value.name === 'string' &&
+      Object.getPrototypeOf(value) !== Object.prototype
+  );
+
+// Returns a function that restores the original structuredClone.
+export const retainLiveHandles = () => {
+  const originalClone = globalThis.structuredClone;
+
+  const cloneValue = (value) => {
+    if (isFakeHandleInstance(value)) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(cloneValue);
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(
+        Object.entries(value).map(([name, child]) => [name, cloneValue(child)])
+      );
+    }
+    return originalClone(value);
+  };
+
+  globalThis.structuredClone = cloneValue;
+  return () => {
+    globalThis.structuredClone = originalClone;
+  };
+};
+
+// Scopes retainLiveHandles to each test of the calling file.
+export const useLiveHandles = () => {
+  let restore = () => {};
+  beforeEach(() => {
+    restore = retainLiveHandles();
+  });
+  afterEach(() => {
+    restore();
+  });
+};
@@ -0,0 +1,40 @@
+import { createFileStorageModule } from '../../../public/js/fileStorageModule.mjs';
+
+export const uniqueDbName = (prefix) => `${prefix}-${Math.random().toString(36).slice(2)}`;
+
+// Stands in for the instance cookie, which is shared by every page of a run.
+export const createMemoryMarker = () => {
+  let value = null;
+  return {
+    read: () => value,
+    write: (next) => {
+      value = next;
+    }
+  };
+};
+
+// A `beforeunload` target whose `dispatch()` simulates closing the page.
+export const createUnloadTarget = () => {
+  const listeners = new Set();
+  return {
+    addEventListener: (type, handler) => type === 'beforeunload' && listeners.add(handler),
+    removeEventListener: (type, handler) => listeners.delete(handler),
+    dispatch: () => listeners.forEach((handler) => handler())
+  };
+};
+
+// Each call models one page load against the same database.
+export const openPage = (dbName, options = {}) => {
+  const unload = createUnloadTarget();
+  const instance = createFileStorageModule({
+    dbName,
+    beforeUnloadTarget: unload,
+    instanceMarker: createMemoryMarker(),
+    ...options
+  });
+  return { instance, unload };
+};
+
+// An instance on a database of its own.
+export const createInstance = (prefix = 'instance', options = {}) =>
+  openPage(uniqueDbName(prefix), options).instance;
@@ -0,0 +1,197 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule, { createNativeHandleBackend } from '../../public/js/fileStorageModule.mjs';
+import { createFakeDirectoryHandle, createFakeFileHandle } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+
+useLiveHandles();
+
+const photosTree = {
+  kind: 'directory',
+  name: 'photos',
+  children: [
+    { kind: 'file', name: 'a.jpg', size: 4 },
+    { kind: 'file', name: 'b.jpg', size: 4 }
+  ]
+};
+
+// Writes straight to the handle store, as an add that crashed before the
+// registry row was created would have left it.
+const putRawHandleRecord = async (record) => {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open('file-storage-module');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction('nativeHandles', 'readwrite');
+    transaction.objectStore('nativeHandles').put(record);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+  db.close();
+};
+
+const simulateInterruptedRemove = async (key) => {
+  const crashingBackend = createNativeHandleBackend({
+    registry: {
+      ...fileStorageModule.registry,
+      removeKey: () => Promise.reject(new Error('tab closed mid-remove'))
+    }
+  });
+  await expect(crashingBackend.remove(key)).rejects.toThrow('tab closed mid-remove');
+};
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  await fileStorageModule.repair();
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.remove(key);
+  }
+});
+
+describe('fileStorageModule.verifyIntegrity', () => {
+  it('reports a consistent database as healthy', async () => {
+    await fileStorageModule.add([createFakeDirectoryHandle(photosTree)]);
+
+    await expect(fileStorageModule.verifyIntegrity()).resolves.toMatchObject({
+      ok: true,
+      healthy: true,
+      issues: [],
+      checked: { registry: 1, nativeHandles: 1 }
+    });
+  });
+
+  it('finds orphans, unknown storage types and stale counts left by interrupted writes', async () => {
+    const removed = await fileStorageModule.add([createFakeDirectoryHandle(photosTree)]);
+    await simulateInterruptedRemove(removed.key);
+
+    await putRawHandleRecord({
+      key: 'fs-half-added',
+      handles: [createFakeFileHandle({ name: 'lost.txt', size: 1 })],
+      createdAt: 1,
+      updatedAt: 1
+    });
+
+    const pending = await fileStorageModule.registry.registerKey(undefined, {
+      storageType: 'uninitialized'
+    });
+
+    const stale = await fileStorageModule.add([createFakeDirectoryHandle(photosTree)]);
+    await fileStorageModule.registry.updateRecord(stale.key, {
+      counts: { files: 9, directories: 0, handles: 1, filtered: 0 }
+    });
+
+    await fileStorageModule.manifests.saveManifest('fs-ghost', []);
+    await fileStorageModule.hashCache.putEntry({
+      key: 'fs-ghost',
+      path: 'ghost.txt',
+      size: 1,
+      lastModified: 1
+    });
+
+    const report = await fileStorageModule.verifyIntegrity();
+    expect(report.ok).toBe(true);
+    expect(report.healthy).toBe(false);
+    expect(report.issues).toEqual(
+      expect.arrayContaining([
+        { type: 'orphan-registry-record', key: removed.key },
+        { type: 'orphan-handle-record', key: 'fs-half-added' },
+        {
+          type: 'unknown-storage-type',
+          key: pending.key,
+          storageType: 'uninitialized',
+          hasHandles: false
+        },
+        {
+          type: 'stale-counts',
+          key: stale.key,
+          stored: { files: 9, directories: 0, handles: 1, filtered: 0 },
+          actual: { files: 2, directories: 1, handles: 1, filtered: 0 }
+        },
+        { type: 'orphan-manifest', key: 'fs-ghost' },
+        { type: 'orphan-hash-cache', key: 'fs-ghost' }
+      ])
+    );
+    expect(report.issues).toHaveLength(6);
+  });
+});
+
+describe('fileStorageModule.repair', () => {
+  it('plans fixes without writing on a dry run, then applies them', async () => {
+    const removed = await fileStorageModule.add([createFakeDirectoryHandle(photosTree)]);
+    await simulateInterruptedRemove(removed.key);
+    await putRawHandleRecord({
+      key: 'fs-half-added',
+      handles: [createFakeFileHandle({ name: 'lost.txt', size: 1 })],
+      createdAt: 1,
+      updatedAt: 1
+    });
+    const stale = await fileStorageModule.add([createFakeDirectoryHandle(photosTree)]);
+    await fileStorageModule.registry.updateRecord(stale.key, {
+      counts: { files: 0, directories: 0, handles: 1, filtered: 0 }
+    });
+
+    const dryRun = await fileStorageModule.repair({ dryRun: true });
+    expect(dryRun).toMatchObject({ ok: true, dryRun: true, repaired: 0 });
+    expect(dryRun.actions).toEqual(
+      expect.arrayContaining([
+        { type: 'orphan-registry-record', key: removed.key, action: 'remove-registry-record' },
+        { type: 'orphan-handle-record', key: 'fs-half-added', action: 'remove-handle-record' },
+        { type: 'stale-counts', key: stale.key, action: 'update-counts' }
+      ])
+    );
+    expect(await fileStorageModule.registry.getRecord(removed.key)).toBeTruthy();
+    expect(await fileStorageModule.nativeHandles.getRecord('fs-half-added')).toBeTruthy();
+
+    const applied = await fileStorageModule.repair();
+    expect(applied).toMatchObject({ ok: true, dryRun: false, repaired: 3 });
+    expect(await fileStorageModule.registry.getRecord(removed.key)).toBeFalsy();
+    expect(await fileStorageModule.nativeHandles.getRecord('fs-half-added')).toBeFalsy();
+    expect((await fileStorageModule.registry.getRecord(stale.key)).counts).toEqual({
+      files: 2,
+      directories: 1,
+      handles: 1,
+      filtered: 0
+    });
+    await expect(fileStorageModule.verifyIntegrity()).resolves.toMatchObject({ healthy: true });
+  });
+
+  it('reclaims rows whose storage type was never set when handles exist', async () => {
+    const added = await fileStorageModule.add([createFakeDirectoryHandle(photosTree)]);
+    const before = await fileStorageModule.registry.getRecord(added.key);
+    await fileStorageModule.registry.updateRecord(added.key, { storageType: 'uninitialized' });
+
+    const result = await fileStorageModule.repair();
+    expect(result.actions).toEqual([
+      { type: 'unknown-storage-type', key: added.key, action: 'set-storage-type' }
+    ]);
+    const after = await fileStorageModule.registry.getRecord(added.key);
+    expect(after.storageType).toBe('native-handle');
+    await expect(fileStorageModule.getFileCount(added.key)).resolves.toMatchObject({
+      counts: { files: 2 }
+    });
+    expect(after.createdAt).toBe(before.createdAt);
+  });
+
+  it('recounts from the handles when asked', async () => {
+    const photos = createFakeDirectoryHandle(photosTree);
+    const added = await fileStorageModule.add([photos]);
+    const record = await fileStorageModule.nativeHandles.getRecord(added.key);
+    await putRawHandleRecord({ ...record, fileCount: 7 });
+
+    const quick = await fileStorageModule.verifyIntegrity();
+    expect(quick.issues.map((issue) => issue.type)).toEqual(['stale-counts']);
+    expect(quick.issues[0].actual.files).toBe(7);
+
+    const thorough = await fileStorageModule.repair({ recount: true });
+    expect(thorough.issues[0].actual).toEqual({
+      files: 2,
+      directories: 1,
+      handles: 1,
+      filtered: 0
+    });
+    await expect(fileStorageModule.verifyIntegrity()).resolves.toMatchObject({ healthy: true });
+  });
+});
@@ -0,0 +1,124 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import { createFakeFileHandle } from './helpers/fakeHandles.js';
+
+const addNative = (name, metadata) =>
+  fileStorageModule.add([createFakeFileHandle({ name, size: 1 })], metadata);
+
+const collectPages = async (query) => {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await fileStorageModule.listRecords({ ...query, cursor });
+    expect(page.ok).toBe(true);
+    pages.push(page.records.map((record) => record.metadata.label ?? record.key));
+    cursor = page.cursor ?? undefined;
+  } while (cursor);
+  return pages;
+};
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.remove(key);
+  }
+});
+
+describe('fileStorageModule.listRecords', () => {
+  it('pages through registry records newest first with an opaque cursor', async () => {
+    for (let index = 1; index <= 5; index += 1) {
+      await addNative(`file-${index}.bin`, { label: `Selection ${index}`, createdAt: index * 100 });
+    }
+
+    const first = await fileStorageModule.listRecords({ limit: 2 });
+    expect(first.records[0]).toMatchObject({
+      storageType: 'native-handle',
+      status: 'active',
+      metadata: { label: 'Selection 5' },
+      counts: { files: 1, directories: 0, handles: 1, filtered: 0 },
+      createdAt: 500
+    });
+    expect(typeof first.cursor).toBe('string');
+
+    expect(await collectPages({ limit: 2 })).toEqual([
+      ['Selection 5', 'Selection 4'],
+      ['Selection 3', 'Selection 2'],
+      ['Selection 1']
+    ]);
+    expect(await collectPages({ limit: 2, order: 'asc', createdAfter: 200 })).toEqual([
+      ['Selection 3', 'Selection 4'],
+      ['Selection 5']
+    ]);
+  });
+
+  it('filters by storage type and label and sorts by label', async () => {
+    await addNative('a.bin', { label: 'beta', createdAt: 1 });
+    await addNative('b.bin', { label: 'Alpha', createdAt: 2 });
+    await addNative('c.bin', { createdAt: 3 });
+    const transient = await fileStorageModule.add([{ name: 'temp.bin', size: 1 }], {
+      label: 'ALPHA',
+      createdAt: 4
+    });
+
+    const byLabel = await fileStorageModule.listRecords({ label: 'alpha', sortBy: 'label' });
+    expect(byLabel.records.map((record) => record.storageType).sort()).toEqual([
+      'native-handle',
+      'transient-session'
+    ]);
+
+    const sorted = await fileStorageModule.listRecords({ sortBy: 'label', order: 'asc' });
+    expect(
+      sorted.records.map((record) => record.metadata.label?.toLowerCase() ?? null)
+    ).toEqual([null, 'alpha', 'alpha', 'beta']);
+
+    const nativeOnly = await fileStorageModule.listRecords({
+      storageType: 'native-handle',
+      createdAfter: 1
+    });
+    expect(nativeOnly.records.map((record) => record.createdAt)).toEqual([3, 2]);
+
+    const withoutLive = await fileStorageModule.listRecords({ includeTransient: false });
+    expect(withoutLive.records.map((record) => record.key)).not.toContain(transient.key);
+  });
+
+  it('lists expired transient tombstones with their expiration details', async () => {
+    const { key } = await fileStorageModule.add([{ name: 'temp.bin', size: 1 }], {
+      tabId: 'tab-1'
+    });
+    await fileStorageModule.transientSessions.expireSession(key, 'page-unload').persisted;
+
+    const result = await fileStorageModule.listRecords({ storageType: 'transient-session' });
+    expect(result.records).toEqual([
+      expect.objectContaining({
+        key,
+        status: 'expired',
+        expired: expect.objectContaining({ reason: 'page-unload', tabId: 'tab-1' })
+      })
+    ]);
+    expect(result.cursor).toBeNull();
+  });
+
+  it('rejects malformed queries and cursors from another sort order', async () => {
+    await addNative('a.bin', { createdAt: 1 });
+    await addNative('b.bin', { createdAt: 2 });
+    const { cursor } = await fileStorageModule.listRecords({ limit: 1 });
+
+    await expect(fileStorageModule.listRecords({ sortBy: 'size' })).resolves.toEqual({
+      ok: false,
+      reason: 'invalid-query'
+    });
+    await expect(fileStorageModule.listRecords({ limit: 0 })).resolves.toEqual({
+      ok: false,
+      reason: 'invalid-query'
+    });
+    await expect(
+      fileStorageModule.listRecords({ cursor, sortBy: 'updatedAt' })
+    ).resolves.toEqual({ ok: false, reason: 'invalid-cursor' });
+    await expect(fileStorageModule.listRecords({ cursor: 'not-a-cursor' })).resolves.toEqual({
+      ok: false,
+      reason: 'invalid-cursor'
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import {
+  groundTruthCounts,
+  groundTruthTree
+} from '../../public/tests/file_storage_module/fixtures/groundTruthManifest.js';
+import { createFakeNativeHandles } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+
+useLiveHandles();
+
+const findNode = (node, name) => {
+  if (node.name === name) {
+    return node;
+  }
+  for (const child of node.children ?? []) {
+    const match = findNode(child, name);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+};
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.remove(key);
+  }
+});
+
+describe('manifest snapshots and diff', () => {
+  it('stores a per-file manifest when add() is asked for one', async () => {
+    const result = await fileStorageModule.add(createFakeNativeHandles(), {}, { manifest: true });
+
+    expect(result.manifest).toMatchObject({ ok: true, entries: groundTruthCounts.files });
+    const manifest = await fileStorageModule.manifests.getManifest(result.key);
+    expect(manifest.entries).toContainEqual({
+      relativePath: 'ground-truth/documents/report.txt',
+      size: 58,
+      lastModified: expect.any(Number)
+    });
+  });
+
+  it('reports renames, deletions, additions, and edits that keep counts stable', async () => {
+    const tree = structuredClone(groundTruthTree);
+    const { key } = await fileStorageModule.add(createFakeNativeHandles(tree), {}, {
+      manifest: true
+    });
+
+    const counts = await fileStorageModule.getFileCount(key);
+    expect(counts.partial).toBe(false);
+
+    findNode(tree, 'todo.md').name = 'done.md';
+    findNode(tree, 'report.txt').size = 99;
+    const photos = findNode(tree, 'photos');
+    photos.children = photos.children.filter((child) => child.name !== 'IMG_0001.jpg');
+    photos.children.push({ name: 'IMG_0003.jpg', kind: 'file', size: 51 });
+
+    const afterCounts = await fileStorageModule.getFileCount(key);
+    expect(afterCounts.partial).toBe(false);
+
+    const diff = await fileStorageModule.diff(key);
+    expect(diff.ok).toBe(true);
+    expect(diff.changed).toBe(true);
+    expect(diff.added.map((entry) => entry.relativePath).sort()).toEqual([
+      'ground-truth/documents/notes/done.md',
+      'ground-truth/media/photos/IMG_0003.jpg'
+    ]);
+    expect(diff.removed.map((entry) => entry.relativePath).sort()).toEqual([
+      'ground-truth/documents/notes/todo.md',
+      'ground-truth/media/photos/IMG_0001.jpg'
+    ]);
+    expect(diff.modified).toEqual([
+      {
+        relativePath: 'ground-truth/documents/report.txt',
+        before: { size: 58, lastModified: expect.any(Number) },
+        after: { size: 99, lastModified: expect.any(Number) }
+      }
+    ]);
+    expect(diff.unchanged).toBe(groundTruthCounts.files - 3);
+  });
+
+  it('diffs transient selections against their in-memory manifest', async () => {
+    const { key } = await fileStorageModule.add(
+      [{ name: 'a.txt', size: 1, lastModified: 10 }],
+      {},
+      { manifest: true }
+    );
+
+    const diff = await fileStorageModule.diff(key);
+    expect(diff).toMatchObject({ ok: true, changed: false, unchanged: 1 });
+  });
+
+  it('captures native manifests at add time and requires one for other selections', async () => {
+    const native = await fileStorageModule.add(createFakeNativeHandles());
+    await expect(fileStorageModule.diff(native.key)).resolves.toMatchObject({
+      ok: true,
+      changed: false,
+      unchanged: groundTruthCounts.files
+    });
+
+    const { key } = await fileStorageModule.add([{ name: 'a.txt', size: 1, lastModified: 10 }]);
+    expect(await fileStorageModule.diff(key)).toMatchObject({
+      ok: false,
+      reason: 'missing-manifest'
+    });
+
+    const captured = await fileStorageModule.captureManifest(key);
+    expect(captured).toMatchObject({ ok: true, entries: 1 });
+    expect((await fileStorageModule.diff(key)).changed).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import { createFakeDirectoryHandle } from './helpers/fakeHandles.js';
+import { createInstance, createUnloadTarget } from './helpers/pages.js';
+
+describe('createFileStorageModule', () => {
+  it('keeps selections of instances with different databases apart', async () => {
+    const sender = createInstance('widget');
+    const receiver = createInstance('widget');
+
+    const added = await sender.add([
+      createFakeDirectoryHandle({ kind: 'directory', name: 'photos', children: [] })
+    ]);
+    expect(added).toMatchObject({ ok: true, storageType: 'native-handle' });
+
+    expect(await sender.listKeys()).toEqual([added.key]);
+    expect(await receiver.listKeys()).toEqual([]);
+    await expect(receiver.exists(added.key)).resolves.toMatchObject({
+      exists: false,
+      reason: 'unknown-key'
+    });
+    expect(await fileStorageModule.listKeys()).not.toContain(added.key);
+    expect(sender.registry).not.toBe(receiver.registry);
+  });
+
+  it('uses the injected clock, key factory and tab id', async () => {
+    let counter = 0;
+    const instance = createInstance('widget', {
+      now: () => 1_000,
+      keyFactory: () => `fs-widget-${(counter += 1)}`,
+      getTabId: () => 'tab-widget'
+    });
+    const seen = [];
+    instance.on('added', (event) => seen.push(event));
+
+    const added = await instance.add([{ name: 'note.txt', size: 1 }], { label: 'Note' });
+
+    expect(added.key).toBe('fs-widget-1');
+    await expect(instance.getMetadata(added.key)).resolves.toMatchObject({
+      metadata: { label: 'Note' },
+      createdAt: 1_000,
+      updatedAt: 1_000
+    });
+    await expect(instance.getFileCount(added.key)).resolves.toMatchObject({
+      expires: expect.objectContaining({ reason: 'page-unload' })
+    });
+    await Promise.resolve();
+    expect(seen).toEqual([
+      expect.objectContaining({ key: 'fs-widget-1', tabId: 'tab-widget', timestamp: 1_000 })
+    ]);
+  });
+
+  it('expires transient sessions only for its own beforeunload target', async () => {
+    const unloadA = createUnloadTarget();
+    const unloadB = createUnloadTarget();
+    const first = createInstance('widget', { beforeUnloadTarget: unloadA });
+    const second = createInstance('widget', { beforeUnloadTarget: unloadB });
+
+    const a = await first.add([{ name: 'a.txt', size: 1 }]);
+    const b = await second.add([{ name: 'b.txt', size: 1 }]);
+
+    unloadA.dispatch();
+    await expect(first.exists(a.key)).resolves.toMatchObject({
+      exists: false,
+      reason: 'transient-expired'
+    });
+    await expect(second.exists(b.key)).resolves.toMatchObject({ exists: true });
+  });
+
+  it('keeps backend registrations per instance', async () => {
+    const instance = createInstance('widget');
+    const claimed = [];
+    instance.registerBackend(
+      'test-double',
+      {
+        persist: async (items) => {
+          claimed.push(items);
+          return { ok: true, key: 'double-1', storageType: 'test-double' };
+        },
+        getRecord: async () => null,
+        count: async () => ({ ok: false, reason: 'unknown-key' }),
+        async *enumerate() {},
+        remove: async (key) => ({ ok: true, key })
+      },
+      { canHandle: () => true }
+    );
+
+    await instance.add([{ name: 'a.txt', size: 1 }]);
+    const defaultResult = await fileStorageModule.add([{ name: 'a.txt', size: 1 }]);
+
+    expect(claimed).toHaveLength(1);
+    expect(defaultResult.storageType).toBe('transient-session');
+    fileStorageModule.transientSessions.remove(defaultResult.key);
+  });
+});
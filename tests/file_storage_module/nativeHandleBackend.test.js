@@ -26,6 +26,36 @@ const createHandleStub = ({
   shouldThrow
 });
 
+// Handle methods must live on the prototype so records survive structured clone.
+class EntryFileHandle {
+  constructor(entryId, name = 'clip.mov') {
+    this.kind = 'file';
+    this.name = name;
+    this.entryId = entryId;
+  }
+
+  async isSameEntry(other) {
+    return other.entryId === this.entryId;
+  }
+}
+
+class ResolvingDirectoryHandle {
+  constructor(name, child, childPath) {
+    this.kind = 'directory';
+    this.name = name;
+    this.child = child;
+    this.childPath = childPath;
+  }
+
+  async resolve(candidate) {
+    return candidate === this.child ? this.childPath : null;
+  }
+
+  async *values() {
+    yield this.child;
+  }
+}
+
 const createTestEnvironment = () => {
   const dbName = `file-storage-${Math.random().toString(36).slice(2)}`;
   const registry = createRegistry({ dbName });
@@ -40,7 +70,7 @@ const createTestEnvironment = () => {
     dbName,
     permissionRequester
   });
-  return { registry, backend, permissionRequester };
+  return { dbName, registry, backend, permissionRequester };
 };
 
 describe('createNativeHandleBackend', () => {
@@ -54,7 +84,7 @@ describe('createNativeHandleBackend', () => {
     const result = await backend.persistHandles(handles);
     expect(result.ok).toBe(true);
     expect(result.storageType).toBe('native-handle');
-    expect(result.counts).toEqual({ directories: 1, files: 1, handles: 2 });
+    expect(result.counts).toEqual({ directories: 1, files: 1, handles: 2, filtered: 0 });
 
     const record = await backend.getRecord(result.key);
     expect(record.handleCount).toBe(2);
@@ -90,10 +120,29 @@ describe('createNativeHandleBackend', () => {
 
     expect(response.ok).toBe(false);
     expect(response.state).toBe('denied');
-    expect(response.counts).toEqual({ directories: 1, files: 2, handles: 3 });
+    expect(response.counts).toEqual({ directories: 1, files: 2, handles: 3, filtered: 0 });
     expect(permissionRequester).toHaveBeenCalledTimes(handles.length);
   });
 
+  it('queries permissions through the non-prompting querier', async () => {
+    const permissionQuerier = vi.fn(async () => 'granted');
+    const { dbName, registry, permissionRequester } = createTestEnvironment();
+    const backend = createNativeHandleBackend({
+      registry,
+      dbName,
+      permissionRequester,
+      permissionQuerier
+    });
+
+    const { key } = await backend.persistHandles([createHandleStub({ name: 'a', kind: 'file' })]);
+    await expect(backend.queryPermissions(key, { mode: 'readwrite' })).resolves.toMatchObject({
+      ok: true,
+      state: 'granted'
+    });
+    expect(permissionQuerier).toHaveBeenCalledWith(expect.anything(), 'readwrite');
+    expect(permissionRequester).not.toHaveBeenCalled();
+  });
+
   it('returns missing state when a key is unknown', async () => {
     const { backend } = createTestEnvironment();
     const response = await backend.requestPermissions('nope');
@@ -183,6 +232,41 @@ describe('createNativeHandleBackend', () => {
     await reopenedBackend.remove(persisted.key);
   });
 
+  it('collapses duplicate handles reported by isSameEntry', async () => {
+    const { backend } = createTestEnvironment();
+    const original = new EntryFileHandle('entry-1');
+    const reclone = new EntryFileHandle('entry-1');
+    const sameName = new EntryFileHandle('entry-2');
+
+    const result = await backend.persistHandles([original, reclone, sameName]);
+
+    expect(result.counts).toEqual({ directories: 0, files: 2, handles: 2, filtered: 0 });
+    expect(result.collapsed).toEqual([
+      { name: 'clip.mov', kind: 'file', reason: 'duplicate', within: 'clip.mov' }
+    ]);
+    const record = await backend.getRecord(result.key);
+    expect(record.handleCount).toBe(2);
+  });
+
+  it('collapses handles nested inside another selected directory', async () => {
+    const { backend } = createTestEnvironment();
+    const nestedFile = new EntryFileHandle('entry-3', 'IMG_0001.jpg');
+    const directory = new ResolvingDirectoryHandle('photos', nestedFile, ['2024', 'IMG_0001.jpg']);
+
+    const result = await backend.persistHandles([nestedFile, directory]);
+
+    expect(result.counts).toEqual({ directories: 1, files: 1, handles: 1, filtered: 0 });
+    expect(result.collapsed).toEqual([
+      {
+        name: 'IMG_0001.jpg',
+        kind: 'file',
+        reason: 'nested',
+        within: 'photos',
+        path: 'photos/2024/IMG_0001.jpg'
+      }
+    ]);
+  });
+
   it('captures ground-truth counts for nested directory selections', async () => {
     const { backend } = createTestEnvironment();
     const handles = createFakeNativeHandles();
@@ -1,5 +1,9 @@
 import { beforeEach, describe, expect, it } from 'vitest';
 import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import { useLiveHandles } from './helpers/liveHandles.js';
+import { openPage, uniqueDbName } from './helpers/pages.js';
+
+useLiveHandles();
 
 const directoryState = new Map();
 let directoryCounter = 0;
@@ -32,13 +36,23 @@ const createDirectoryHandle = (children = []) => {
 };
 
 class PermissionedFileHandle {
-  constructor({ name = 'file.bin', state = 'granted' } = {}) {
+  constructor({ name = 'file.bin', state = 'granted', grantOnRequest = false } = {}) {
     this.kind = 'file';
     this.name = name;
     this.state = state;
+    this.grantOnRequest = grantOnRequest;
+    this.requests = [];
+  }
+
+  async queryPermission() {
+    return this.state;
   }
 
-  async requestPermission() {
+  async requestPermission({ mode }) {
+    this.requests.push(mode);
+    if (this.grantOnRequest) {
+      this.state = 'granted';
+    }
     return this.state;
   }
 }
@@ -53,11 +67,11 @@ const createTransientEntry = (name = 'temp.bin', size = 1) => ({
 
 const resetModuleState = async () => {
   await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
   const existingKeys = await fileStorageModule.registry.listKeys();
   for (const key of existingKeys) {
     await fileStorageModule.nativeHandles.remove(key);
   }
-  fileStorageModule.transientSessions.expireAll('test-reset');
   directoryState.clear();
 };
 
@@ -119,6 +133,58 @@ describe('fileStorageModule public API', () => {
 
     expect(exists.exists).toBe(false);
     expect(exists.reason).toBe('permission-denied');
+    expect(handle.requests).toEqual([]);
+  });
+
+  it('queries permissions without prompting', async () => {
+    const handle = createPermissionedHandle({ state: 'prompt', grantOnRequest: true });
+    const { key } = await fileStorageModule.add([handle]);
+
+    await expect(
+      fileStorageModule.queryPermissions(key, { mode: 'readwrite' })
+    ).resolves.toMatchObject({ ok: false, key, state: 'prompt' });
+    expect(handle.requests).toEqual([]);
+  });
+
+  it('restores permissions for every stored selection in one pass', async () => {
+    const granted = createPermissionedHandle({ name: 'granted.bin' });
+    const pending = createPermissionedHandle({
+      name: 'pending.bin',
+      state: 'prompt',
+      grantOnRequest: true
+    });
+    const denied = createPermissionedHandle({ name: 'denied.bin', state: 'denied' });
+    const keys = {};
+    for (const [name, handle] of Object.entries({ granted, pending, denied })) {
+      keys[name] = (await fileStorageModule.add([handle])).key;
+    }
+    const transient = await fileStorageModule.add([createTransientEntry('temp.bin')]);
+
+    const restored = await fileStorageModule.restorePermissions(undefined, { mode: 'readwrite' });
+    expect(restored.ok).toBe(false);
+    expect(restored.mode).toBe('readwrite');
+    expect(restored.results).toEqual(
+      expect.arrayContaining([
+        { key: keys.granted, ok: true, state: 'granted' },
+        { key: keys.pending, ok: true, state: 'granted' },
+        { key: keys.denied, ok: false, state: 'denied' }
+      ])
+    );
+    expect(restored.results.map((result) => result.key)).not.toContain(transient.key);
+    expect(granted.requests).toEqual([]);
+    expect(pending.requests).toEqual(['readwrite']);
+
+    await expect(
+      fileStorageModule.restorePermissions([keys.pending, transient.key, 'fs-missing'])
+    ).resolves.toEqual({
+      ok: false,
+      mode: 'read',
+      results: [
+        { key: keys.pending, ok: true, state: 'granted' },
+        { key: transient.key, ok: false, state: null, reason: 'unsupported-storage' },
+        { key: 'fs-missing', ok: false, state: null, reason: 'unknown-key' }
+      ]
+    });
   });
 
   it('returns unsupported reasons when requesting permissions for transient keys', async () => {
@@ -167,6 +233,119 @@ describe('fileStorageModule public API', () => {
     }
   });
 
+  it('attaches caller metadata and updates it for native and transient keys', async () => {
+    const native = await fileStorageModule.add([createDirectoryHandle([])], {
+      label: "Mom's photos",
+      peerId: 'dads-laptop'
+    });
+    const transient = await fileStorageModule.add([createTransientEntry('temp.bin')], {
+      label: 'One-off',
+      data: { priority: 1 }
+    });
+    expect(native.metadata).toEqual({ label: "Mom's photos", peerId: 'dads-laptop' });
+    expect(transient.metadata).toEqual({ label: 'One-off', data: { priority: 1 } });
+
+    const nativeUpdate = await fileStorageModule.update(native.key, { notes: 'week two' });
+    expect(nativeUpdate.ok).toBe(true);
+    expect(nativeUpdate.updatedAt).toBeGreaterThanOrEqual(native.updatedAt);
+    const nativeMetadata = await fileStorageModule.getMetadata(native.key);
+    expect(nativeMetadata.metadata).toEqual({
+      label: "Mom's photos",
+      peerId: 'dads-laptop',
+      notes: 'week two'
+    });
+    const stored = await fileStorageModule.nativeHandles.getRecord(native.key);
+    expect(stored.updatedAt).toBe(nativeUpdate.updatedAt);
+
+    await fileStorageModule.update(transient.key, { data: { retries: 2 } });
+    const transientMetadata = await fileStorageModule.getMetadata(transient.key);
+    expect(transientMetadata.metadata).toEqual({
+      label: 'One-off',
+      data: { priority: 1, retries: 2 }
+    });
+  });
+
+  it('rejects metadata that is not JSON-friendly', async () => {
+    const cyclic = {};
+    cyclic.self = cyclic;
+
+    const added = await fileStorageModule.add([createTransientEntry()], { label: 42 });
+    expect(added).toEqual({ ok: false, reason: 'invalid-metadata' });
+
+    const { key } = await fileStorageModule.add([createTransientEntry()]);
+    expect(await fileStorageModule.update(key, { data: cyclic })).toEqual({
+      ok: false,
+      reason: 'invalid-metadata'
+    });
+    expect((await fileStorageModule.update('fs-missing', { label: 'x' })).reason).toBe(
+      'unknown-key'
+    );
+  });
+
+  it('explains transient selections that expired before a reload', async () => {
+    const { key } = await fileStorageModule.add([createTransientEntry('temp.bin')], {
+      tabId: 'tab-a'
+    });
+    await fileStorageModule.transientSessions.expireSession(key, 'page-unload').persisted;
+    // A reload drops the in-memory cache; only the registry tombstone remains.
+    fileStorageModule.transientSessions.pruneExpired();
+
+    const exists = await fileStorageModule.exists(key);
+    expect(exists).toMatchObject({
+      exists: false,
+      storageType: 'transient-session',
+      reason: 'transient-expired',
+      expired: { reason: 'page-unload', tabId: 'tab-a', counts: { files: 1 } }
+    });
+    expect((await fileStorageModule.getStorageType(key)).reason).toBe('transient-expired');
+    expect(await fileStorageModule.listKeys()).toContain(key);
+    expect(await fileStorageModule.listKeys({ includeExpired: false })).not.toContain(key);
+
+    const pruned = await fileStorageModule.pruneExpired({ olderThan: Infinity });
+    expect(pruned.removed).toContain(key);
+    expect((await fileStorageModule.exists(key)).reason).toBe('unknown-key');
+  });
+
+  it('explains transient selections whose tab closed without unloading', async () => {
+    const dbName = uniqueDbName('transient-crash');
+    const { instance: crashed } = openPage(dbName);
+    const { key } = await crashed.add([createTransientEntry('temp.bin')], {
+      tabId: 'tab-a',
+      label: 'Draft'
+    });
+    const live = await crashed.listRecords();
+    expect(live.records).toHaveLength(1);
+    expect(live.records[0]).toMatchObject({ key, status: 'active' });
+
+    // No `beforeunload`: only the row written when the session started remains.
+    const { instance: reloaded } = openPage(dbName);
+    await expect(reloaded.exists(key)).resolves.toMatchObject({
+      exists: false,
+      reason: 'transient-expired',
+      expired: { reason: 'page-unload', tabId: 'tab-a', expiredAt: null, counts: { files: 1 } }
+    });
+    expect(await reloaded.listKeys()).toEqual([key]);
+    expect(await reloaded.listKeys({ includeExpired: false })).toEqual([]);
+    expect((await reloaded.listRecords()).records).toEqual([
+      expect.objectContaining({ key, status: 'expired', metadata: { label: 'Draft' } })
+    ]);
+
+    await expect(reloaded.remove(key)).resolves.toMatchObject({
+      ok: true,
+      reason: 'transient-expired'
+    });
+    expect(await reloaded.registry.getRecord(key)).toBeUndefined();
+  });
+
+  it('removes expired transient tombstones through the public remove()', async () => {
+    const { key } = await fileStorageModule.add([createTransientEntry('temp.bin')]);
+    await fileStorageModule.transientSessions.expireSession(key).persisted;
+
+    const removal = await fileStorageModule.remove(key);
+    expect(removal).toEqual({ ok: true, key, reason: 'transient-expired' });
+    expect(await fileStorageModule.registry.getRecord(key)).toBeUndefined();
+  });
+
   it('removes both native and transient selections through the public remove()', async () => {
     const native = await fileStorageModule.add([createDirectoryHandle([])]);
     const transient = await fileStorageModule.add([createTransientEntry('temp.bin')]);
@@ -176,6 +355,7 @@ describe('fileStorageModule public API', () => {
 
     const transientRemoval = await fileStorageModule.remove(transient.key);
     expect(transientRemoval.ok).toBe(true);
+    expect(await fileStorageModule.registry.getRecord(transient.key)).toBeUndefined();
 
     const remainingKeys = await fileStorageModule.listKeys();
     expect(remainingKeys).not.toContain(native.key);
@@ -44,4 +44,71 @@ describe('createRegistry', () => {
     expect(persisted).toBeTruthy();
     expect(persisted.storageType).toBe('native-handle');
   });
+
+  it('keeps caller metadata and merges updates while bumping updatedAt', async () => {
+    let timestamp = 100;
+    const registry = createRegistry({ now: () => (timestamp += 1) });
+    const record = await registry.registerKey(undefined, {
+      storageType: 'native-handle',
+      label: "Mom's photos",
+      peerId: 'dads-laptop',
+      data: { album: 'summer', year: 2024 },
+      ignored: 'not persisted'
+    });
+    expect(record).not.toHaveProperty('ignored');
+
+    const updated = await registry.updateRecord(record.key, {
+      notes: 'resume after dinner',
+      peerId: null,
+      data: { year: 2025 }
+    });
+
+    expect(updated).toEqual({
+      key: record.key,
+      storageType: 'native-handle',
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt + 1,
+      label: "Mom's photos",
+      notes: 'resume after dinner',
+      data: { album: 'summer', year: 2025 },
+      labelKey: "mom's photos"
+    });
+    expect(await registry.getRecord(record.key)).toEqual(updated);
+    expect(await registry.updateRecord('fs-missing', { label: 'x' })).toBeNull();
+  });
+
+  it('adds query indexes to registries created before they existed', async () => {
+    const dbName = `legacy-registry-${Math.random().toString(36).slice(2)}`;
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore('registry', { keyPath: 'key' });
+        store.put({
+          key: 'fs-old',
+          storageType: 'native-handle',
+          createdAt: 1,
+          updatedAt: 1,
+          label: 'Old Trip'
+        });
+      };
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        request.result.close();
+        resolve();
+      };
+    });
+
+    const registry = createRegistry({ dbName });
+    expect(await registry.getRecord('fs-old')).toMatchObject({ labelKey: 'old trip' });
+
+    const db = await registry.ensureDb();
+    const { indexNames } = db.transaction('registry').objectStore('registry');
+    expect(Array.from(indexNames).sort()).toEqual([
+      'createdAt',
+      'labelKey',
+      'storageType',
+      'storageType_createdAt',
+      'updatedAt'
+    ]);
+  });
 });
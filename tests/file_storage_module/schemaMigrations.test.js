@@ -0,0 +1,195 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SCHEMA_MIGRATIONS,
+  createMetaStore,
+  createNativeHandleBackend,
+  createRegistry
+} from '../../public/js/fileStorageModule.mjs';
+
+const LATEST_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+const openRaw = (name, version, onUpgrade) =>
+  new Promise((resolve, reject) => {
+    const request =
+      version === undefined ? indexedDB.open(name) : indexedDB.open(name, version);
+    request.onupgradeneeded = () => onUpgrade?.(request.result, request.transaction);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+
+// Builds a database the way an older release left it, then closes it.
+const createHistoricalDatabase = async (build) => {
+  const name = `schema-${Math.random().toString(36).slice(2)}`;
+  const db = await openRaw(name, 1, build);
+  db.close();
+  return name;
+};
+
+const readLayout = async (name) => {
+  const db = await openRaw(name);
+  const layout = {
+    version: db.version,
+    stores: Array.from(db.objectStoreNames).sort(),
+    registryIndexes: Array.from(
+      db.transaction('registry').objectStore('registry').indexNames
+    ).sort()
+  };
+  db.close();
+  return layout;
+};
+
+const legacyNativeRows = (registryStore, handleStore) => {
+  registryStore.put({
+    key: 'fs-old',
+    storageType: 'native-handle',
+    createdAt: 1,
+    updatedAt: 1,
+    label: 'Old Trip'
+  });
+  handleStore.put({
+    key: 'fs-old',
+    handles: [{ kind: 'file', name: 'trip.jpg' }],
+    fileCount: 1,
+    directoryCount: 0,
+    handleCount: 1,
+    createdAt: 1,
+    updatedAt: 1
+  });
+};
+
+// Every layout a released build could have left behind, oldest first.
+const historicalLayouts = {
+  'registry only': (db) => {
+    db.createObjectStore('registry', { keyPath: 'key' }).put({
+      key: 'fs-old',
+      storageType: 'uninitialized',
+      createdAt: 1,
+      updatedAt: 1
+    });
+  },
+  'registry and native handles': (db) => {
+    legacyNativeRows(
+      db.createObjectStore('registry', { keyPath: 'key' }),
+      db.createObjectStore('nativeHandles', { keyPath: 'key' })
+    );
+  },
+  'with manifests and hash cache': (db) => {
+    legacyNativeRows(
+      db.createObjectStore('registry', { keyPath: 'key' }),
+      db.createObjectStore('nativeHandles', { keyPath: 'key' })
+    );
+    db.createObjectStore('manifests', { keyPath: 'key' });
+    db.createObjectStore('hashCache', { keyPath: ['key', 'path', 'size', 'lastModified'] });
+  },
+  'with registry indexes and meta store': (db) => {
+    const registry = db.createObjectStore('registry', { keyPath: 'key' });
+    ['storageType', 'createdAt', 'updatedAt', 'labelKey'].forEach((index) =>
+      registry.createIndex(index, index)
+    );
+    registry.createIndex('storageType_createdAt', ['storageType', 'createdAt']);
+    legacyNativeRows(registry, db.createObjectStore('nativeHandles', { keyPath: 'key' }));
+    db.createObjectStore('manifests', { keyPath: 'key' });
+    db.createObjectStore('hashCache', { keyPath: ['key', 'path', 'size', 'lastModified'] });
+    db.createObjectStore('meta', { keyPath: 'key' }).put({
+      key: 'instance',
+      value: { id: 'fs-instance', createdAt: 1 }
+    });
+  }
+};
+
+describe('SCHEMA_MIGRATIONS', () => {
+  it('numbers steps contiguously from 1', () => {
+    expect(SCHEMA_MIGRATIONS.map((migration) => migration.version)).toEqual(
+      SCHEMA_MIGRATIONS.map((_, index) => index + 1)
+    );
+  });
+
+  it.each(Object.entries(historicalLayouts))(
+    'upgrades a database created with %s to the latest layout',
+    async (_, build) => {
+      const dbName = await createHistoricalDatabase(build);
+
+      const registry = createRegistry({ dbName });
+      const record = await registry.getRecord('fs-old');
+      expect(record).toMatchObject({ key: 'fs-old', labelKey: expect.any(String) });
+
+      const layout = await readLayout(dbName);
+      expect(layout.stores).toEqual([
+        'hashCache',
+        'manifests',
+        'meta',
+        'nativeHandles',
+        'registry',
+        'transferState'
+      ]);
+      expect(layout.registryIndexes).toEqual([
+        'createdAt',
+        'labelKey',
+        'storageType',
+        'storageType_createdAt',
+        'updatedAt'
+      ]);
+      await expect(createMetaStore({ dbName }).getValue('schema')).resolves.toMatchObject({
+        version: LATEST_VERSION,
+        previousVersion: 0
+      });
+      (await registry.ensureDb()).close();
+    }
+  );
+
+  it('backfills registry counts and keeps existing records readable', async () => {
+    const dbName = await createHistoricalDatabase(historicalLayouts['registry and native handles']);
+
+    const registry = createRegistry({ dbName });
+    const backend = createNativeHandleBackend({ registry, dbName });
+
+    expect(await registry.getRecord('fs-old')).toMatchObject({
+      label: 'Old Trip',
+      labelKey: 'old trip',
+      counts: { files: 1, directories: 0, handles: 1, filtered: 0 }
+    });
+    expect((await backend.getRecord('fs-old')).handles[0].name).toBe('trip.jpg');
+    const instance = await createMetaStore({ dbName }).getValue('instance');
+    expect(instance).toBeUndefined();
+  });
+
+  it('runs only the steps after the recorded version', async () => {
+    const dbName = await createHistoricalDatabase((db, transaction) => {
+      historicalLayouts['with registry indexes and meta store'](db, transaction);
+      transaction.objectStore('meta').put({ key: 'schema', value: { version: 4 } });
+      // A step before the recorded version would have added this index back.
+      transaction.objectStore('registry').deleteIndex('labelKey');
+    });
+
+    const metaStore = createMetaStore({ dbName, now: () => 1234 });
+    await expect(metaStore.getValue('schema')).resolves.toEqual({
+      version: LATEST_VERSION,
+      previousVersion: 4,
+      migratedAt: 1234
+    });
+    (await metaStore.ensureDb()).close();
+
+    const db = await openRaw(dbName);
+    const registryStore = db.transaction('registry').objectStore('registry');
+    expect(registryStore.indexNames.contains('labelKey')).toBe(false);
+    await expect(
+      new Promise((resolve) => {
+        registryStore.get('fs-old').onsuccess = (event) => resolve(event.target.result);
+      })
+    ).resolves.toMatchObject({ counts: { files: 1, directories: 0, handles: 1, filtered: 0 } });
+    db.close();
+  });
+
+  it('does not bump the database version once the schema is current', async () => {
+    const dbName = `schema-fresh-${Math.random().toString(36).slice(2)}`;
+    const first = createRegistry({ dbName });
+    await first.registerKey(undefined, { storageType: 'native-handle' });
+    (await first.ensureDb()).close();
+    const { version } = await readLayout(dbName);
+
+    const reopened = createRegistry({ dbName });
+    expect(await reopened.listKeys()).toHaveLength(1);
+    (await reopened.ensureDb()).close();
+    expect((await readLayout(dbName)).version).toBe(version);
+  });
+});
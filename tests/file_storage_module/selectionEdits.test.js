@@ -0,0 +1,182 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import { createFakeDirectoryHandle, createFakeFileHandle } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+
+useLiveHandles();
+
+const photosTree = {
+  kind: 'directory',
+  name: 'photos',
+  children: [
+    { kind: 'file', name: 'a.jpg', size: 4 },
+    { kind: 'file', name: 'b.jpg', size: 4 }
+  ]
+};
+
+// A directory that reports `child` as living at `childPath` inside it.
+class ContainingDirectoryHandle {
+  constructor(name, child, childPath) {
+    this.kind = 'directory';
+    this.name = name;
+    this.child = child;
+    this.childPath = childPath;
+  }
+
+  async resolve(candidate) {
+    return candidate === this.child ? this.childPath : null;
+  }
+
+  async *values() {
+    yield this.child;
+  }
+}
+
+const createTransientFile = (webkitRelativePath, size = 2) => ({
+  name: webkitRelativePath.split('/').pop(),
+  size,
+  webkitRelativePath
+});
+
+const resetModuleState = async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.nativeHandles.remove(key);
+  }
+};
+
+describe('fileStorageModule selection edits', () => {
+  beforeEach(resetModuleState);
+
+  it('appends native handles under the same key and recounts', async () => {
+    const photos = createFakeDirectoryHandle(photosTree);
+    const added = await fileStorageModule.add([photos]);
+    const before = await fileStorageModule.registry.getRecord(added.key);
+
+    const result = await fileStorageModule.appendToSelection(added.key, [
+      createFakeFileHandle({ name: 'notes.txt', size: 3 }),
+      photos
+    ]);
+
+    expect(result).toMatchObject({
+      ok: true,
+      key: added.key,
+      storageType: 'native-handle',
+      added: 1,
+      counts: { files: 3, directories: 1, handles: 2 }
+    });
+    expect(result.collapsed).toEqual([
+      expect.objectContaining({ name: 'photos', reason: 'duplicate' })
+    ]);
+    expect(result.updatedAt).toBeGreaterThanOrEqual(before.updatedAt);
+
+    const stored = await fileStorageModule.nativeHandles.getRecord(added.key);
+    expect(stored.handles.map((handle) => handle.name)).toEqual(['photos', 'notes.txt']);
+    expect(stored.fileCount).toBe(3);
+    expect((await fileStorageModule.registry.getRecord(added.key)).updatedAt).toBe(
+      result.updatedAt
+    );
+    await expect(fileStorageModule.getFileCount(added.key)).resolves.toMatchObject({
+      counts: { files: 3, directories: 1 }
+    });
+  });
+
+  it('counts an appended folder that absorbs a selected handle as added', async () => {
+    const photo = createFakeFileHandle({ name: 'a.jpg', size: 4 });
+    const added = await fileStorageModule.add([photo]);
+
+    const result = await fileStorageModule.appendToSelection(added.key, [
+      new ContainingDirectoryHandle('photos', photo, ['a.jpg'])
+    ]);
+
+    expect(result).toMatchObject({ ok: true, added: 1, counts: { files: 1, directories: 1 } });
+    expect(result.collapsed).toEqual([
+      expect.objectContaining({ name: 'a.jpg', reason: 'nested', within: 'photos' })
+    ]);
+    const stored = await fileStorageModule.nativeHandles.getRecord(added.key);
+    expect(stored.handles.map((handle) => handle.name)).toEqual(['photos']);
+  });
+
+  it('removes native handles by path or predicate but never empties the selection', async () => {
+    const added = await fileStorageModule.add([
+      createFakeDirectoryHandle(photosTree),
+      createFakeFileHandle({ name: 'notes.txt', size: 3 })
+    ]);
+
+    const unmatched = await fileStorageModule.removeFromSelection(added.key, ['missing']);
+    expect(unmatched).toMatchObject({ ok: true, removed: 0 });
+    await expect(
+      fileStorageModule.removeFromSelection(added.key, ['notes.txt', 'photos/a.jpg'])
+    ).resolves.toEqual({ ok: false, reason: 'unsupported-path', path: 'photos/a.jpg' });
+    await expect(
+      fileStorageModule.removeFromSelection(
+        added.key,
+        (handle, { relativePath }) => relativePath.endsWith('.jpg')
+      )
+    ).resolves.toEqual({ ok: false, reason: 'unsupported-predicate', path: 'photos/a.jpg' });
+    expect((await fileStorageModule.nativeHandles.getRecord(added.key)).handleCount).toBe(2);
+
+    const byPath = await fileStorageModule.removeFromSelection(added.key, ['photos']);
+    expect(byPath).toMatchObject({
+      ok: true,
+      key: added.key,
+      removed: 1,
+      counts: { files: 1, directories: 0, handles: 1 }
+    });
+
+    const emptying = await fileStorageModule.removeFromSelection(
+      added.key,
+      (handle) => handle.kind === 'file'
+    );
+    expect(emptying).toEqual({ ok: false, reason: 'empty-selection' });
+    await expect(fileStorageModule.getStorageType(added.key)).resolves.toMatchObject({
+      storageType: 'native-handle'
+    });
+  });
+
+  it('rejects items that do not belong to the stored backend', async () => {
+    const added = await fileStorageModule.add([createFakeDirectoryHandle(photosTree)]);
+    const result = await fileStorageModule.appendToSelection(added.key, [
+      createTransientFile('loose.txt')
+    ]);
+    expect(result).toEqual({ ok: false, reason: 'incompatible-selection' });
+
+    await expect(
+      fileStorageModule.appendToSelection('missing-key', [createTransientFile('x.txt')])
+    ).resolves.toMatchObject({ ok: false, reason: 'unknown-key' });
+    await expect(fileStorageModule.removeFromSelection(added.key, [])).resolves.toEqual({
+      ok: false,
+      reason: 'no-selection'
+    });
+  });
+
+  it('appends and removes transient entries in place', async () => {
+    const first = createTransientFile('drop/a.txt');
+    const added = await fileStorageModule.add([first, createTransientFile('drop/sub/b.txt')]);
+    expect(added.storageType).toBe('transient-session');
+
+    const appended = await fileStorageModule.appendToSelection(added.key, [
+      first,
+      createTransientFile('drop/sub/c.txt')
+    ]);
+    expect(appended).toMatchObject({
+      ok: true,
+      key: added.key,
+      storageType: 'transient-session',
+      added: 1,
+      counts: { files: 3 }
+    });
+
+    const removed = await fileStorageModule.removeFromSelection(added.key, 'drop/sub');
+    expect(removed).toMatchObject({ ok: true, removed: 2, counts: { files: 1 } });
+    expect(fileStorageModule.transientSessions.getStatus(added.key)).toMatchObject({
+      status: 'active',
+      updatedAt: removed.updatedAt
+    });
+    await expect(fileStorageModule.getFileCount(added.key)).resolves.toMatchObject({
+      counts: { files: 1 }
+    });
+  });
+});
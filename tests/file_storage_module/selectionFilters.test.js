@@ -0,0 +1,155 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import { createFakeDirectoryHandle } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+
+useLiveHandles();
+
+const picturesTree = {
+  kind: 'directory',
+  name: 'Pictures',
+  children: [
+    { kind: 'file', name: '.DS_Store', size: 1 },
+    { kind: 'file', name: 'Thumbs.db', size: 1 },
+    { kind: 'file', name: 'beach.jpg', size: 4 },
+    { kind: 'file', name: 'notes.txt', size: 2 },
+    {
+      kind: 'directory',
+      name: '@eaDir',
+      children: [{ kind: 'file', name: 'beach.jpg.thumb', size: 1 }]
+    },
+    {
+      kind: 'directory',
+      name: '2024',
+      children: [
+        { kind: 'file', name: 'desktop.ini', size: 1 },
+        { kind: 'file', name: 'party.JPG', size: 4 },
+        { kind: 'file', name: 'party.mov', size: 8 }
+      ]
+    }
+  ]
+};
+
+const collect = async (iterable) => {
+  const entries = [];
+  for await (const entry of iterable) {
+    entries.push(entry);
+  }
+  return entries;
+};
+
+const createTransientFile = (webkitRelativePath, size = 1) => ({
+  name: webkitRelativePath.split('/').pop(),
+  size,
+  webkitRelativePath
+});
+
+const stripStoredFilters = async (key) => {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open('file-storage-module');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction('nativeHandles', 'readwrite');
+    const store = transaction.objectStore('nativeHandles');
+    const request = store.get(key);
+    request.onsuccess = () => {
+      const { filters, ...legacy } = request.result;
+      store.put(legacy);
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+  db.close();
+};
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.nativeHandles.remove(key);
+  }
+});
+
+describe('selection filters', () => {
+  it('skips default junk files and folders and reports how many were filtered', async () => {
+    const result = await fileStorageModule.add([createFakeDirectoryHandle(picturesTree)]);
+
+    expect(result.filters).toEqual({ include: [], exclude: [], defaults: true });
+    expect(result.counts).toEqual({ files: 4, directories: 2, handles: 1, filtered: 4 });
+    await expect(fileStorageModule.getFileCount(result.key)).resolves.toMatchObject({
+      counts: { files: 4, directories: 2, filtered: 4 },
+      partial: false
+    });
+
+    const paths = (await collect(fileStorageModule.enumerate(result.key))).map(
+      (entry) => entry.relativePath
+    );
+    expect(paths).toEqual([
+      'Pictures',
+      'Pictures/beach.jpg',
+      'Pictures/notes.txt',
+      'Pictures/2024',
+      'Pictures/2024/party.JPG',
+      'Pictures/2024/party.mov'
+    ]);
+  });
+
+  it('applies caller include/exclude globs on top of the defaults', async () => {
+    const result = await fileStorageModule.add(
+      [createFakeDirectoryHandle(picturesTree)],
+      {},
+      { filters: { include: ['*.jpg'], exclude: ['2024/*.mov'] } }
+    );
+
+    expect(result.counts).toMatchObject({ files: 2, directories: 2, filtered: 6 });
+    const files = (await collect(fileStorageModule.enumerate(result.key)))
+      .filter((entry) => entry.kind === 'file')
+      .map((entry) => entry.relativePath);
+    expect(files).toEqual(['Pictures/beach.jpg', 'Pictures/2024/party.JPG']);
+  });
+
+  it('can opt out of the default ruleset and rejects malformed rules', async () => {
+    const result = await fileStorageModule.add(
+      [createFakeDirectoryHandle(picturesTree)],
+      {},
+      { filters: { defaults: false } }
+    );
+    expect(result.counts).toMatchObject({ files: 8, directories: 3, filtered: 0 });
+
+    await expect(
+      fileStorageModule.add([createFakeDirectoryHandle(picturesTree)], {}, {
+        filters: { exclude: '*.tmp' }
+      })
+    ).resolves.toEqual({ ok: false, reason: 'invalid-filters' });
+  });
+
+  it('filters transient selections, including files beneath excluded folders', async () => {
+    const result = await fileStorageModule.add([
+      createTransientFile('drop/a.jpg'),
+      createTransientFile('drop/.DS_Store'),
+      createTransientFile('drop/@eaDir/a.jpg.thumb'),
+      createTransientFile('drop/sub/b.jpg')
+    ]);
+
+    expect(result.storageType).toBe('transient-session');
+    expect(result.counts).toEqual({ files: 2, directories: 2, handles: 4, filtered: 2 });
+    await expect(fileStorageModule.getFileCount(result.key)).resolves.toMatchObject({
+      counts: { files: 2, filtered: 2 }
+    });
+    const paths = (await collect(fileStorageModule.enumerate(result.key))).map(
+      (entry) => entry.relativePath
+    );
+    expect(paths).toEqual(['drop', 'drop/a.jpg', 'drop/sub', 'drop/sub/b.jpg']);
+  });
+
+  it('leaves records stored before filters existed unfiltered', async () => {
+    const { key } = await fileStorageModule.add([createFakeDirectoryHandle(picturesTree)]);
+    await stripStoredFilters(key);
+
+    const recount = await fileStorageModule.getFileCount(key);
+    expect(recount.counts).toEqual({ files: 8, directories: 3, handles: 1, filtered: 0 });
+  });
+});
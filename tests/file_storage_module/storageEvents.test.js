@@ -0,0 +1,190 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule, { createStorageEvents } from '../../public/js/fileStorageModule.mjs';
+import { createMessagingChannel } from '../../public/js/browserIdModule.mjs';
+import { createFakeDirectoryHandle } from './helpers/fakeHandles.js';
+
+const createChannelHub = () => {
+  const channels = new Set();
+  return {
+    open() {
+      const listeners = new Set();
+      const channel = {
+        onMessage(listener) {
+          listeners.add(listener);
+          return () => listeners.delete(listener);
+        },
+        postMessage(message) {
+          channels.forEach((other) => {
+            if (other !== channel) {
+              other.deliver(message);
+            }
+          });
+        },
+        deliver(message) {
+          listeners.forEach((listener) => listener(structuredClone(message)));
+        },
+        dispose() {
+          channels.delete(channel);
+        }
+      };
+      channels.add(channel);
+      return channel;
+    }
+  };
+};
+
+// Mimics the `storage` event: it fires in every tab except the writer.
+const createStorageBus = () => {
+  const tabs = new Set();
+  const local = new Map();
+  const createTab = () => {
+    const listeners = new Set();
+    const tab = {
+      windowRef: {
+        addEventListener: (type, handler) => type === 'storage' && listeners.add(handler),
+        removeEventListener: (type, handler) => listeners.delete(handler)
+      },
+      storage: {
+        getLocal: (key) => local.get(key) ?? null,
+        setLocal: (key, value) => {
+          local.set(key, value);
+          tabs.forEach((other) => {
+            if (other !== tab) {
+              other.listeners.forEach((handler) => handler({ key, newValue: value }));
+            }
+          });
+          return true;
+        }
+      },
+      listeners
+    };
+    tabs.add(tab);
+    return tab;
+  };
+  return { createTab };
+};
+
+// BroadcastChannel spans vitest worker threads, so other test files' events
+// arrive here as remote ones; only this tab's events are of interest.
+const nextEvent = (type) =>
+  new Promise((resolve) => {
+    const unsubscribe = fileStorageModule.on(type, (event) => {
+      if (event.remote) {
+        return;
+      }
+      unsubscribe();
+      resolve(event);
+    });
+  });
+
+describe('createStorageEvents', () => {
+  it('dispatches locally and relays events to other tabs', async () => {
+    const hub = createChannelHub();
+    const tabA = createStorageEvents({ getTabId: () => 'tab-a', now: () => 42, openChannel: hub.open });
+    const tabB = createStorageEvents({ getTabId: () => 'tab-b', openChannel: hub.open });
+    const seenByA = [];
+    const seenByB = [];
+    tabA.on('added', (event) => seenByA.push(event));
+    tabB.on('added', (event) => seenByB.push(event));
+    tabB.on('removed', () => seenByB.push('unexpected'));
+
+    await tabA.emit('added', { key: 'fs-1', storageType: 'native-handle' });
+
+    const expected = {
+      type: 'added',
+      key: 'fs-1',
+      storageType: 'native-handle',
+      tabId: 'tab-a',
+      timestamp: 42
+    };
+    expect(seenByA).toEqual([{ ...expected, remote: false }]);
+    expect(seenByB).toEqual([{ ...expected, remote: true }]);
+    tabA.dispose();
+    tabB.dispose();
+  });
+
+  it('falls back to the localStorage bus without BroadcastChannel', async () => {
+    const bus = createStorageBus();
+    const openChannel = () => {
+      const tab = bus.createTab();
+      return createMessagingChannel({
+        channelName: 'events-test',
+        lsBusKey: 'events-test:bus',
+        storage: tab.storage,
+        windowRef: tab.windowRef,
+        broadcastChannelFactory: () => null
+      });
+    };
+    const tabA = createStorageEvents({ getTabId: () => 'tab-a', openChannel });
+    const tabB = createStorageEvents({ getTabId: () => 'tab-b', openChannel });
+    const received = [];
+    tabA.on('expired', (event) => received.push(['a', event.tabId]));
+    tabB.on('expired', (event) => received.push(['b', event.tabId]));
+
+    await tabA.emit('expired', { key: 'fs-2', storageType: 'transient-session' });
+
+    expect(received).toEqual([
+      ['a', 'tab-a'],
+      ['b', 'tab-a']
+    ]);
+    tabA.dispose();
+    tabB.dispose();
+  });
+
+  it('rejects unknown event names', () => {
+    const events = createStorageEvents({ openChannel: () => null });
+    expect(() => events.on('renamed', () => {})).toThrow('Unknown file storage event');
+  });
+});
+
+describe('fileStorageModule.on', () => {
+  beforeEach(async () => {
+    await fileStorageModule.init();
+    await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+    const existingKeys = await fileStorageModule.registry.listKeys();
+    for (const key of existingKeys) {
+      await fileStorageModule.nativeHandles.remove(key);
+    }
+  });
+
+  it('announces adds, updates and removals with the originating tab', async () => {
+    const added = nextEvent('added');
+    const result = await fileStorageModule.add([
+      createFakeDirectoryHandle({ kind: 'directory', name: 'photos', children: [] })
+    ]);
+    await expect(added).resolves.toMatchObject({
+      type: 'added',
+      key: result.key,
+      storageType: 'native-handle',
+      tabId: expect.any(String),
+      remote: false
+    });
+
+    const updated = nextEvent('updated');
+    await fileStorageModule.update(result.key, { label: 'Photos' });
+    await expect(updated).resolves.toMatchObject({ key: result.key, change: 'metadata' });
+
+    const removed = nextEvent('removed');
+    await fileStorageModule.remove(result.key);
+    await expect(removed).resolves.toMatchObject({
+      key: result.key,
+      storageType: 'native-handle'
+    });
+  });
+
+  it('announces transient expiration with the owning tab', async () => {
+    const { key } = await fileStorageModule.add([{ name: 'temp.bin', size: 1 }], {
+      tabId: 'tab-owner'
+    });
+
+    const expired = nextEvent('expired');
+    await fileStorageModule.transientSessions.expireSession(key, 'page-unload').persisted;
+    await expect(expired).resolves.toMatchObject({
+      type: 'expired',
+      key,
+      storageType: 'transient-session',
+      tabId: 'tab-owner',
+      reason: 'page-unload'
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import fileStorageModule, {
+  createEvictionMonitor,
+  createInstanceMarker,
+  createMetaStore,
+  createRegistry
+} from '../../public/js/fileStorageModule.mjs';
+import { createMemoryMarker } from './helpers/pages.js';
+
+const deleteDatabase = (name) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => resolve();
+  });
+
+// Each call models a fresh page load against the same database.
+const openSession = (dbName, marker) => {
+  const registry = createRegistry({ dbName });
+  const metaStore = createMetaStore({ dbName });
+  let counter = 0;
+  const monitor = createEvictionMonitor({
+    registry,
+    metaStore,
+    marker,
+    now: () => 1_000,
+    idFactory: () => `instance-${dbName}-${(counter += 1)}-${Math.random()}`
+  });
+  return { registry, metaStore, monitor };
+};
+
+const closeSession = async ({ registry, metaStore }) => {
+  (await registry.ensureDb()).close();
+  (await metaStore.ensureDb()).close();
+};
+
+describe('createEvictionMonitor', () => {
+  it('detects a database that was wiped and recreated since the last session', async () => {
+    const dbName = `eviction-${Math.random().toString(36).slice(2)}`;
+    const marker = createMemoryMarker();
+
+    const first = openSession(dbName, marker);
+    const initial = await first.monitor.check();
+    expect(initial).toMatchObject({ evicted: false, previousInstanceId: null });
+    expect(marker.read()).toBe(initial.instanceId);
+    await first.registry.registerKey(undefined, { storageType: 'native-handle' });
+    await closeSession(first);
+
+    const reload = openSession(dbName, marker);
+    await expect(reload.monitor.check()).resolves.toMatchObject({
+      evicted: false,
+      instanceId: initial.instanceId
+    });
+    await closeSession(reload);
+
+    await deleteDatabase(dbName);
+    const afterEviction = openSession(dbName, marker);
+    const detected = await afterEviction.monitor.check();
+    expect(detected).toMatchObject({
+      evicted: true,
+      previousInstanceId: initial.instanceId,
+      detectedAt: 1_000
+    });
+    expect(detected.instanceId).not.toBe(initial.instanceId);
+    expect(marker.read()).toBe(detected.instanceId);
+    await closeSession(afterEviction);
+  });
+
+  it('does not report eviction for databases that predate the marker', async () => {
+    const dbName = `legacy-${Math.random().toString(36).slice(2)}`;
+    const marker = createMemoryMarker();
+    const legacy = openSession(dbName, marker);
+    await legacy.registry.registerKey(undefined, { storageType: 'native-handle' });
+
+    marker.write('stale-instance');
+    await expect(legacy.monitor.check()).resolves.toMatchObject({ evicted: false });
+    await closeSession(legacy);
+
+    const fresh = openSession(`fresh-${dbName}`, createMemoryMarker());
+    await expect(fresh.monitor.check()).resolves.toMatchObject({ evicted: false });
+    await closeSession(fresh);
+  });
+});
+
+describe('createInstanceMarker', () => {
+  it('falls back to the cookie copy when localStorage was cleared', () => {
+    const marker = createInstanceMarker({ name: 'fsm.test-instance' });
+    marker.write('instance-1');
+    expect(localStorage.getItem('fsm.test-instance')).toBe('instance-1');
+
+    localStorage.clear();
+    expect(marker.read()).toBe('instance-1');
+  });
+});
+
+describe('fileStorageModule storage health', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reports quota, persistence and eviction status', async () => {
+    vi.stubGlobal('navigator', {
+      storage: {
+        estimate: async () => ({ usage: 250, quota: 1_000 }),
+        persisted: async () => false,
+        persist: async () => true
+      }
+    });
+    await fileStorageModule.init();
+
+    await expect(fileStorageModule.getStorageHealth()).resolves.toEqual({
+      ok: true,
+      supported: true,
+      usage: 250,
+      quota: 1_000,
+      available: 750,
+      usageRatio: 0.25,
+      persisted: false,
+      eviction: expect.objectContaining({ evicted: false, instanceId: expect.any(String) })
+    });
+    await expect(fileStorageModule.requestPersistentStorage()).resolves.toEqual({
+      ok: true,
+      persisted: true
+    });
+  });
+
+  it('degrades gracefully without the StorageManager API', async () => {
+    vi.stubGlobal('navigator', {});
+
+    await expect(fileStorageModule.getStorageHealth()).resolves.toMatchObject({
+      ok: true,
+      supported: false,
+      usage: null,
+      quota: null,
+      persisted: null
+    });
+    await expect(fileStorageModule.requestPersistentStorage()).resolves.toEqual({
+      ok: false,
+      reason: 'unsupported'
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, expect, it } from 'vitest';
+import { createFakeDirectoryHandle } from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+import { openPage, uniqueDbName } from './helpers/pages.js';
+
+useLiveHandles();
+
+const albumTree = {
+  kind: 'directory',
+  name: 'album',
+  children: [
+    { kind: 'file', name: 'a.jpg', size: 100, lastModified: 1 },
+    { kind: 'file', name: 'b.jpg', size: 50, lastModified: 1 },
+    { kind: 'file', name: 'empty.txt', size: 0, lastModified: 1 }
+  ]
+};
+
+const createAlbum = async () => {
+  const dbName = uniqueDbName('transfer');
+  const { instance } = openPage(dbName);
+  const { key } = await instance.add([createFakeDirectoryHandle(albumTree)]);
+  return { dbName, instance, key };
+};
+
+describe('transfer state', () => {
+  it('merges acknowledged ranges and resumes after a reload', async () => {
+    const { dbName, instance, key } = await createAlbum();
+
+    await instance.markTransferred(key, 'peer-1', 'album/a.jpg', { start: 0, end: 40, size: 100 });
+    const gap = await instance.markTransferred(key, 'peer-1', 'album/a.jpg', {
+      start: 60,
+      end: 80,
+      size: 100
+    });
+    expect(gap).toMatchObject({
+      ok: true,
+      acknowledged: 60,
+      complete: false,
+      ranges: [
+        [0, 40],
+        [60, 80]
+      ],
+      resumeOffset: 40
+    });
+
+    const reloaded = openPage(dbName).instance;
+    const progress = await reloaded.getTransferProgress(key, 'peer-1');
+    expect(progress).toMatchObject({
+      ok: true,
+      complete: false,
+      totals: { files: 3, completeFiles: 0, bytes: 150, acknowledgedBytes: 60 }
+    });
+    expect(progress.outstanding).toEqual([
+      {
+        relativePath: 'album/a.jpg',
+        size: 100,
+        acknowledged: 60,
+        resumeOffset: 40,
+        missing: [
+          [40, 60],
+          [80, 100]
+        ],
+        lastError: null,
+        stale: false
+      },
+      expect.objectContaining({ relativePath: 'album/b.jpg', resumeOffset: 0, missing: [[0, 50]] }),
+      expect.objectContaining({ relativePath: 'album/empty.txt', missing: [] })
+    ]);
+
+    await reloaded.markTransferred(key, 'peer-1', 'album/a.jpg', { start: 40, end: 100 });
+    await reloaded.markTransferred(key, 'peer-1', 'album/b.jpg', { start: 0, end: 50, size: 50 });
+    await expect(
+      reloaded.markTransferred(key, 'peer-1', 'album/empty.txt', { start: 0, end: 0, size: 0 })
+    ).resolves.toMatchObject({ complete: true });
+    await expect(reloaded.getTransferProgress(key, 'peer-1')).resolves.toMatchObject({
+      complete: true,
+      totals: { completeFiles: 3, acknowledgedBytes: 150 },
+      outstanding: []
+    });
+    await expect(reloaded.getTransferProgress(key, 'peer-2')).resolves.toMatchObject({
+      complete: false,
+      totals: { acknowledgedBytes: 0 }
+    });
+  });
+
+  it('keeps the last error and starts over when the file changed', async () => {
+    const { instance, key } = await createAlbum();
+    await instance.markTransferred(key, 'peer-1', 'album/a.jpg', {
+      start: 0,
+      end: 30,
+      size: 90,
+      lastModified: 1
+    });
+    const failed = await instance.recordTransferError(
+      key,
+      'peer-1',
+      'album/b.jpg',
+      new Error('channel closed')
+    );
+    expect(failed.lastError).toMatchObject({ name: 'Error', message: 'channel closed' });
+
+    const progress = await instance.getTransferProgress(key, 'peer-1');
+    expect(progress.outstanding).toEqual([
+      expect.objectContaining({ relativePath: 'album/a.jpg', acknowledged: 0, stale: true }),
+      expect.objectContaining({
+        relativePath: 'album/b.jpg',
+        lastError: expect.objectContaining({ message: 'channel closed' })
+      }),
+      expect.objectContaining({ relativePath: 'album/empty.txt' })
+    ]);
+
+    const restarted = await instance.markTransferred(key, 'peer-1', 'album/a.jpg', {
+      start: 0,
+      end: 10,
+      size: 100,
+      lastModified: 1
+    });
+    expect(restarted).toMatchObject({ acknowledged: 10, ranges: [[0, 10]] });
+  });
+
+  it('validates input, resets state and drops it with the selection', async () => {
+    const { instance, key } = await createAlbum();
+    const transient = await instance.add([new File(['x'], 'x.txt')]);
+
+    await expect(
+      instance.markTransferred(key, 'peer-1', 'album/a.jpg', { start: 10, end: 5 })
+    ).resolves.toEqual({ ok: false, reason: 'invalid-range' });
+    await expect(
+      instance.markTransferred(key, 'peer-1', 'album/a.jpg', { start: 0, end: 200, size: 100 })
+    ).resolves.toEqual({ ok: false, reason: 'invalid-range' });
+    await expect(
+      instance.markTransferred(key, '', 'album/a.jpg', { start: 0, end: 1 })
+    ).resolves.toEqual({ ok: false, reason: 'missing-peer-id' });
+    await expect(
+      instance.markTransferred(transient.key, 'peer-1', 'x.txt', { start: 0, end: 1 })
+    ).resolves.toMatchObject({ ok: false, reason: 'unsupported-storage' });
+
+    for (const peerId of ['peer-1', 'peer-2']) {
+      await instance.markTransferred(key, peerId, 'album/a.jpg', { start: 0, end: 10 });
+      await instance.markTransferred(key, peerId, 'album/b.jpg', { start: 0, end: 10 });
+    }
+    await expect(instance.resetTransfer(key, 'peer-1', 'album/a.jpg')).resolves.toEqual({
+      ok: true,
+      key,
+      removed: 1
+    });
+    await expect(instance.resetTransfer(key, 'peer-2')).resolves.toMatchObject({ removed: 2 });
+    expect(await instance.transferState.listStates(key)).toEqual([
+      expect.objectContaining({ peerId: 'peer-1', path: 'album/b.jpg' })
+    ]);
+
+    await instance.remove(key);
+    expect(await instance.transferState.listKeys()).toEqual([]);
+  });
+
+  it('reports and repairs transfer state left behind for unknown keys', async () => {
+    const { instance, key } = await createAlbum();
+    await instance.transferState.markRange({
+      key: 'fs-ghost',
+      peerId: 'peer-1',
+      path: 'ghost.txt',
+      start: 0,
+      end: 1
+    });
+    await instance.markTransferred(key, 'peer-1', 'album/a.jpg', { start: 0, end: 1 });
+
+    const report = await instance.verifyIntegrity();
+    expect(report.issues).toEqual([{ type: 'orphan-transfer-state', key: 'fs-ghost' }]);
+    await expect(instance.repair()).resolves.toMatchObject({ repaired: 1 });
+    expect(await instance.transferState.listKeys()).toEqual([key]);
+  });
+});
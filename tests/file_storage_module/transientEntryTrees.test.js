@@ -0,0 +1,93 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import {
+  groundTruthCounts,
+  groundTruthEntries,
+  groundTruthTree
+} from '../../public/tests/file_storage_module/fixtures/groundTruthManifest.js';
+import { createFakeFileSystemEntry } from './helpers/fakeHandles.js';
+
+const collectPaths = async (iterable) => {
+  const paths = [];
+  for await (const entry of iterable) {
+    paths.push(`${entry.kind}:${entry.relativePath}`);
+  }
+  return paths.sort();
+};
+
+const groundTruthPaths = groundTruthEntries
+  .map((entry) =>
+    entry.kind === 'directory'
+      ? `directory:${entry.path}`
+      : `file:${groundTruthTree.name}/${entry.path}`
+  )
+  .sort();
+
+const readStream = async (stream) => new Uint8Array(await new Response(stream).arrayBuffer());
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+});
+
+describe('transient selections of dropped FileSystemEntry trees', () => {
+  it('reads every batch of a dropped folder and counts it like a native one', async () => {
+    const dropped = createFakeFileSystemEntry(groundTruthTree, { batchSize: 2 });
+
+    const added = await fileStorageModule.add([dropped]);
+    expect(added).toMatchObject({ ok: true, storageType: 'transient-session' });
+    expect(added.counts).toEqual({ ...groundTruthCounts, filtered: 0 });
+    // Three children in batches of two, then the empty batch that ends the loop.
+    expect(dropped.readCalls).toBe(3);
+
+    await expect(fileStorageModule.getFileCount(added.key)).resolves.toMatchObject({
+      counts: added.counts
+    });
+    expect(await collectPaths(fileStorageModule.enumerate(added.key))).toEqual(groundTruthPaths);
+  });
+
+  it('reads nested files resolved through entry.file()', async () => {
+    const added = await fileStorageModule.add([createFakeFileSystemEntry(groundTruthTree)]);
+
+    const opened = await fileStorageModule.openFileStream(
+      added.key,
+      'ground-truth/documents/notes/todo.md'
+    );
+    expect(opened.ok).toBe(true);
+    const bytes = await readStream(opened.stream);
+    expect(bytes).toHaveLength(58);
+  });
+
+  it('does not walk excluded folders and counts loose dropped files', async () => {
+    const looseFile = createFakeFileSystemEntry({ kind: 'file', name: 'cover.txt', size: 3 });
+
+    const added = await fileStorageModule.add(
+      [createFakeFileSystemEntry(groundTruthTree), looseFile],
+      {},
+      { filters: { exclude: ['media'] } }
+    );
+    expect(added.counts).toMatchObject({ handles: 2, filtered: 1 });
+
+    const paths = await collectPaths(fileStorageModule.enumerate(added.key));
+    expect(paths).toContain('file:cover.txt');
+    expect(paths).toContain('file:ground-truth/documents/report.txt');
+    expect(paths.some((path) => path.includes('/media'))).toBe(false);
+  });
+
+  it('expands folders appended to an existing selection', async () => {
+    const added = await fileStorageModule.add([
+      createFakeFileSystemEntry({ kind: 'file', name: 'cover.txt', size: 3 })
+    ]);
+
+    const appended = await fileStorageModule.appendToSelection(added.key, [
+      createFakeFileSystemEntry(groundTruthTree, { batchSize: 1 })
+    ]);
+    expect(appended).toMatchObject({ ok: true });
+    expect(appended.counts).toEqual({
+      files: groundTruthCounts.files + 1,
+      directories: groundTruthCounts.directories,
+      handles: 2,
+      filtered: 0
+    });
+  });
+});
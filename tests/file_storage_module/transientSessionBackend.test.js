@@ -23,40 +23,59 @@ const createFakeWindow = () => {
 };
 
 describe('createTransientSessionBackend', () => {
-  it('stores entry-like objects in memory and reports counts', () => {
+  it('stores entry-like objects in memory and reports counts', async () => {
     const backend = createTransientSessionBackend({ now: () => 1000 });
     const entries = [
       { name: 'video.mp4', size: 1_024_000 },
       { name: 'photos', isDirectory: true }
     ];
 
-    const result = backend.persistEntries(entries);
+    const result = await backend.persistEntries(entries);
     expect(result.ok).toBe(true);
     expect(result.storageType).toBe('transient-session');
-    expect(result.counts).toEqual({ files: 1, directories: 1, handles: 2 });
+    expect(result.counts).toEqual({ files: 1, directories: 1, handles: 2, filtered: 0 });
 
     const stored = backend.getEntries(result.key);
     expect(stored).toHaveLength(2);
     expect(backend.listKeys()).toContain(result.key);
   });
 
-  it('exposes full session metadata for active keys', () => {
+  it('finds files by relative path as entries are appended and removed', async () => {
     const backend = createTransientSessionBackend();
-    const { key } = backend.persistEntries([{ name: 'huge.mov', size: 99_000 }]);
+    const first = new File(['a'], 'a.txt');
+    const second = new File(['b'], 'b.txt');
+    const { key } = await backend.persistEntries([first]);
+
+    expect(backend.findEntry(key, '/a.txt')).toEqual({ ok: true, entry: first });
+    expect(backend.findEntry(key, 'b.txt')).toEqual({ ok: false, reason: 'file-not-found' });
+
+    await backend.appendEntries(key, [second]);
+    expect(backend.findEntry(key, 'b.txt')).toEqual({ ok: true, entry: second });
+
+    backend.removeEntries(key, (entry) => entry === first);
+    expect(backend.findEntry(key, 'a.txt')).toEqual({ ok: false, reason: 'file-not-found' });
+
+    backend.expireSession(key);
+    expect(backend.findEntry(key, 'b.txt')).toEqual({ ok: false, reason: 'transient-expired' });
+  });
+
+  it('exposes full session metadata for active keys', async () => {
+    const backend = createTransientSessionBackend();
+    const { key } = await backend.persistEntries([{ name: 'huge.mov', size: 99_000 }]);
 
     const session = backend.getSession(key);
     expect(session).toBeTruthy();
-    expect(session?.counts).toEqual({ files: 1, directories: 0, handles: 1 });
+    expect(session?.counts).toEqual({ files: 1, directories: 0, handles: 1, filtered: 0 });
     expect(backend.getStatus(key)?.status).toBe('active');
   });
 
-  it('cleans up entries on beforeunload and reports expiration', () => {
+  it('cleans up entries on beforeunload and reports expiration', async () => {
     const fakeWindow = createFakeWindow();
     const backend = createTransientSessionBackend({
       beforeUnloadTarget: fakeWindow,
       now: () => 5_000
     });
-    const { key } = backend.persistEntries([{ name: 'temp.bin', size: 10 }]);
+    const { key } = await backend.persistEntries([{ name: 'temp.bin', size: 10 }]);
 
     expect(backend.listKeys()).toContain(key);
     fakeWindow.dispatch('beforeunload');
@@ -67,23 +86,76 @@ describe('createTransientSessionBackend', () => {
     expect(status?.reason).toBe('page-unload');
   });
 
+  it('writes a registry row when the session starts and expires it with the owning tab', async () => {
+    const fakeWindow = createFakeWindow();
+    const registry = createRegistry({
+      dbName: `registry-${Math.random().toString(36).slice(2)}`
+    });
+    const backend = createTransientSessionBackend({
+      registry,
+      beforeUnloadTarget: fakeWindow,
+      now: () => 7_000
+    });
+    const { key } = await backend.persistEntries([{ name: 'temp.bin', size: 10 }], {
+      tabId: 'tab-1',
+      createdAt: 6_000
+    });
+
+    const expires = { reason: 'page-unload', message: expect.any(String) };
+    expect(await registry.getRecord(key)).toEqual({
+      key,
+      storageType: 'transient-session',
+      status: 'transient',
+      reason: 'page-unload',
+      tabId: 'tab-1',
+      counts: { files: 1, directories: 0, handles: 1, filtered: 0 },
+      createdAt: 6_000,
+      updatedAt: 6_000,
+      expiredAt: null,
+      expires,
+      labelKey: ''
+    });
+    expect(await registry.pruneTombstones({ olderThan: 7_000, keep: [key] })).toEqual([]);
+
+    const { persisted } = backend.expireAll('page-unload');
+    expect(await persisted).toBe(1);
+
+    expect(await registry.getRecord(key)).toEqual({
+      key,
+      storageType: 'transient-session',
+      status: 'expired',
+      reason: 'page-unload',
+      tabId: 'tab-1',
+      counts: { files: 1, directories: 0, handles: 1, filtered: 0 },
+      createdAt: 6_000,
+      updatedAt: 7_000,
+      expiredAt: 7_000,
+      expires,
+      labelKey: ''
+    });
+
+    expect(await registry.pruneTombstones({ olderThan: 7_000 })).toEqual([]);
+    expect(await registry.pruneTombstones({ olderThan: 7_001 })).toEqual([key]);
+    expect(await registry.getRecord(key)).toBeUndefined();
+  });
+
   it('never writes transient selections to IndexedDB', async () => {
     const registry = createRegistry({
       dbName: `registry-${Math.random().toString(36).slice(2)}`
     });
     const backend = createTransientSessionBackend();
 
-    backend.persistEntries([{ name: 'one-off.txt', size: 1 }]);
+    await backend.persistEntries([{ name: 'one-off.txt', size: 1 }]);
     const keys = await registry.listKeys();
 
     expect(keys).toHaveLength(0);
   });
 
-  it('matches ground-truth counts for serialized browser file inputs', () => {
+  it('matches ground-truth counts for serialized browser file inputs', async () => {
     const backend = createTransientSessionBackend();
     const entries = createTransientFixture();
 
-    const result = backend.persistEntries(entries);
+    const result = await backend.persistEntries(entries);
     expect(result.counts.files).toBe(groundTruthCounts.files);
     expect(result.counts.directories).toBe(groundTruthCounts.directories);
   });
@@ -0,0 +1,37 @@
+import { bench, describe } from 'vitest';
+import { createGeneratedDirectoryHandle } from './helpers/fakeHandles.js';
+import { retainLiveHandles } from './helpers/liveHandles.js';
+import { openPage } from './helpers/pages.js';
+
+retainLiveHandles();
+
+// 1,111 folders of 90 photos each (99,990 files). Every listing waits 1 ms,
+// standing in for the disk reads behind a real FileSystemDirectoryHandle.
+const { handle, counts } = createGeneratedDirectoryHandle({
+  name: 'photos',
+  depth: 3,
+  directoriesPerLevel: 10,
+  filesPerDirectory: 90,
+  latencyMs: 1
+});
+
+const { instance } = openPage('traversal-bench');
+const { key } = await instance.add([handle], {}, { concurrency: 16 });
+
+const recount = async (concurrency) => {
+  const result = await instance.getFileCount(key, { concurrency });
+  if (result.counts?.files !== counts.files) {
+    throw new Error(`Counted ${result.counts?.files} files, expected ${counts.files}`);
+  }
+};
+
+describe(`getFileCount over ${counts.files} files in ${counts.directories} folders`, () => {
+  for (const concurrency of [1, 4, 8, 16]) {
+    bench(`concurrency ${concurrency}`, () => recount(concurrency), {
+      iterations: 3,
+      time: 0,
+      warmupIterations: 0,
+      warmupTime: 0
+    });
+  }
+});
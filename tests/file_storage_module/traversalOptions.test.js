@@ -0,0 +1,147 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import fileStorageModule from '../../public/js/fileStorageModule.mjs';
+import { groundTruthCounts } from '../../public/tests/file_storage_module/fixtures/groundTruthManifest.js';
+import {
+  createFakeDirectoryHandle,
+  createFakeNativeHandles,
+  createGeneratedDirectoryHandle
+} from './helpers/fakeHandles.js';
+import { useLiveHandles } from './helpers/liveHandles.js';
+
+useLiveHandles();
+
+beforeEach(async () => {
+  await fileStorageModule.init();
+  await fileStorageModule.transientSessions.expireAll('test-reset').persisted;
+  const existingKeys = await fileStorageModule.registry.listKeys();
+  for (const key of existingKeys) {
+    await fileStorageModule.nativeHandles.remove(key);
+  }
+});
+
+describe('TraversalOptions', () => {
+  it('reports running counts and paths while recounting native selections', async () => {
+    const { key } = await fileStorageModule.add(createFakeNativeHandles());
+    const events = [];
+
+    const result = await fileStorageModule.getFileCount(key, {
+      onProgress: (event) => events.push(event)
+    });
+
+    expect(result.ok).toBe(true);
+    expect(events).toHaveLength(groundTruthCounts.files + groundTruthCounts.directories);
+    expect(events[0]).toEqual({ files: 0, directories: 1, path: 'ground-truth' });
+    expect(events.at(-1)).toMatchObject({
+      files: groundTruthCounts.files,
+      directories: groundTruthCounts.directories
+    });
+    expect(events.map((event) => event.path)).toContain('ground-truth/documents/report.txt');
+  });
+
+  it('aborts a running recount and resolves with reason aborted', async () => {
+    const { key } = await fileStorageModule.add(createFakeNativeHandles());
+    const controller = new AbortController();
+    let seen = 0;
+
+    const result = await fileStorageModule.getFileCount(key, {
+      signal: controller.signal,
+      onProgress: () => {
+        seen += 1;
+        if (seen === 3) {
+          controller.abort();
+        }
+      }
+    });
+
+    expect(result).toMatchObject({ ok: false, reason: 'aborted', storageType: 'native-handle' });
+    expect(seen).toBe(3);
+  });
+
+  it('aborts add() before anything is persisted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await fileStorageModule.add(createFakeNativeHandles(), {}, {
+      signal: controller.signal
+    });
+
+    expect(result).toEqual({ ok: false, reason: 'aborted' });
+    expect(await fileStorageModule.listKeys()).toHaveLength(0);
+  });
+
+  it('honours aborted signals for transient counts', async () => {
+    const { key } = await fileStorageModule.add([{ name: 'one.txt', size: 1 }]);
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await fileStorageModule.getFileCount(key, { signal: controller.signal });
+    expect(result).toMatchObject({ ok: false, reason: 'aborted' });
+  });
+
+  it('stops enumeration with a structured aborted error', async () => {
+    const { key } = await fileStorageModule.add(createFakeNativeHandles());
+    const controller = new AbortController();
+    const visited = [];
+
+    const run = async () => {
+      for await (const entry of fileStorageModule.enumerate(key, {
+        signal: controller.signal
+      })) {
+        visited.push(entry.relativePath);
+        if (visited.length === 2) {
+          controller.abort();
+        }
+      }
+    };
+
+    await expect(run()).rejects.toMatchObject({ name: 'FileStorageError', reason: 'aborted' });
+    expect(visited).toHaveLength(2);
+  });
+
+  it('reads directories in parallel up to the concurrency limit with the same counts', async () => {
+    const shape = { depth: 3, directoriesPerLevel: 4, filesPerDirectory: 5, latencyMs: 1 };
+    const sequential = createGeneratedDirectoryHandle(shape);
+    const parallel = createGeneratedDirectoryHandle(shape);
+
+    const one = await fileStorageModule.add([sequential.handle], {}, { concurrency: 1 });
+    const four = await fileStorageModule.add([parallel.handle], {}, { concurrency: 4 });
+
+    expect(one.counts).toEqual(sequential.counts);
+    expect(four.counts).toEqual(sequential.counts);
+    expect(sequential.stats.maxActive).toBe(1);
+    expect(parallel.stats.maxActive).toBeGreaterThan(1);
+    expect(parallel.stats.maxActive).toBeLessThanOrEqual(4);
+
+    await expect(
+      fileStorageModule.getFileCount(four.key, { concurrency: 2 })
+    ).resolves.toMatchObject({ ok: true, counts: sequential.counts });
+  });
+
+  it('yields to the event loop while walking large folders', async () => {
+    const children = Array.from({ length: 1200 }, (_, index) => ({
+      kind: 'file',
+      name: `${index}.jpg`
+    }));
+    let eventsBeforeTimer = null;
+    let events = 0;
+
+    const result = await fileStorageModule.add(
+      [createFakeDirectoryHandle({ kind: 'directory', name: 'flat', children })],
+      {},
+      {
+        onProgress: () => {
+          events += 1;
+          if (events === 1) {
+            setTimeout(() => {
+              eventsBeforeTimer = events;
+            }, 0);
+          }
+        }
+      }
+    );
+
+    expect(result.counts.files).toBe(1200);
+    expect(eventsBeforeTimer).toBeGreaterThan(1);
+    expect(eventsBeforeTimer).toBeLessThan(events);
+  });
+});
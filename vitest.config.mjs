@@ -11,6 +11,9 @@ export default defineConfig({
       'tests/file_storage_module/**/*.test.js',
       'tests/browser_id_module/**/*.test.js'
     ],
+    benchmark: {
+      include: ['tests/file_storage_module/**/*.bench.js']
+    },
     globals: true,
     pool: 'threads',
     poolOptions: {